@@ -1,12 +1,140 @@
 import { createServer } from 'node:http';
+import { join } from 'node:path';
+import {
+  checkListQuery,
+  concertListQuerySchema,
+} from './src/concerts/concert-schemas.mjs';
+import { registerConcertApiRoutes } from './src/concerts/concerts-node-routes.mjs';
+import { ConcertsRepository } from './src/concerts/concerts-repository.mjs';
+import { loadConfig } from './src/config.mjs';
+import { DemoRunner } from './src/demos/demo-runner.mjs';
+import { registerDemoRoutes } from './src/demos/demos-node-routes.mjs';
+import { registerGracefulShutdown } from './src/graceful-shutdown.mjs';
+import { HealthMonitor } from './src/health.mjs';
+import { cors } from './src/http/cors.mjs';
+import { NotFoundError } from './src/http/errors.mjs';
+import { RateLimiter, rateLimit } from './src/http/rate-limit.mjs';
+import { securityHeaders } from './src/http/security-headers.mjs';
+import { closeEventStreams } from './src/http/sse.mjs';
+import { validate } from './src/http/validate.mjs';
+import { JsonLinesLog, accessLogger } from './src/logging/access-log.mjs';
+import { parseBody } from './src/node-http/body-parser.mjs';
+import { handleError } from './src/node-http/error-handler.mjs';
+import { sendHtml, sendJson, sendText } from './src/node-http/respond.mjs';
+import { Router } from './src/node-http/router.mjs';
+import { serveStatic } from './src/node-http/static-files.mjs';
+import { registerPlaygroundRoutes } from './src/playground/playground-node-routes.mjs';
+import { PlaygroundRunner } from './src/playground/playground-runner.mjs';
+import { JsonFileStore } from './src/storage/json-file-store.mjs';
+import concertDetailPage from './src/views/pages/concert-detail.mjs';
+import concertsPage from './src/views/pages/concerts.mjs';
+import htmlVersionPage from './src/views/pages/html-version.mjs';
 
-const server = createServer();
+// The same routes as src/app-express.mjs, built on node:http alone. The
+// middleware from src/http and src/logging only uses node:http APIs, so both
+// apps register the same functions.
+
+const config = loadConfig();
+const health = new HealthMonitor();
+const router = new Router({ onError: handleError });
+
+const concertsStore = new JsonFileStore(join(config.dataDir, 'concerts.json'));
+const concerts = await ConcertsRepository.load(concertsStore);
+const demoRunner = new DemoRunner();
+const playground = new PlaygroundRunner();
+const { security } = config;
+
+router.use(securityHeaders(security));
+
+// Registered before the access log so probes don't flood it
+router.get('/healthz', (request, response) => {
+  sendJson(response, 200, health.report());
+});
+
+router.get('/readyz', (request, response) => {
+  sendJson(response, health.ready ? 200 : 503, health.readiness());
+});
+
+const accessLog = config.accessLog.enabled
+  ? new JsonLinesLog(config.accessLog.file, config.accessLog)
+  : null;
+if (accessLog) {
+  router.use(accessLogger(accessLog));
+}
+
+// CORS first, so that 429 responses reach scripts on allowed origins too
+router.use(
+  '/api',
+  cors({ origins: security.corsOrigins }),
+  rateLimit(new RateLimiter(security.rateLimit)),
+);
+
+router.use(parseBody({ limit: security.bodyLimitBytes }));
+
+// Serve static files (CSS, images, etc.) from the public folder
+router.use(serveStatic(config.publicDir));
 
 function requestCallback(request, response) {
   response.writeHead(200);
   response.end(`request received`);
 }
 
-server.on('request', requestCallback);
+router.get('/', requestCallback);
+
+router.get('/simple-text', (request, response) => {
+  sendText(response, 200, 'this is some test');
+});
+
+router.get('/html-version', (request, response) => {
+  sendHtml(response, 200, htmlVersionPage());
+});
+
+router.get(
+  '/concerts',
+  validate({ query: concertListQuerySchema }, { check: checkListQuery }),
+  (request, response) => {
+    const { data, pagination } = concerts.query(request.valid.query);
+    sendHtml(
+      response,
+      200,
+      concertsPage({
+        concerts: data,
+        filters: request.valid.query,
+        pagination,
+      }),
+    );
+  },
+);
+
+router.get('/concerts/:id', (request, response) => {
+  const concert = concerts.get(request.params.id);
+  if (!concert) throw new NotFoundError('We could not find that concert.');
+  sendHtml(response, 200, concertDetailPage({ concert }));
+});
+
+registerConcertApiRoutes(router, concerts);
+registerDemoRoutes(router, demoRunner);
+registerPlaygroundRoutes(router, playground);
+
+const server = createServer();
+
+server.on('request', router.handler());
+
+server.listen(config.port, config.host || undefined, () => {
+  const { port } = server.address();
+  console.log(`HTTP server (${config.env}) listening on port ${port}`);
+  health.markReady();
+});
 
-server.listen(3000);
+registerGracefulShutdown(server, {
+  name: 'HTTP server',
+  health,
+  timeoutMs: config.shutdownTimeoutMs,
+  // Ending a demo's event stream also kills its run
+  interrupt: [
+    () => closeEventStreams(),
+    () => demoRunner.stop(),
+    () => playground.stop(),
+  ],
+  cleanup: [() => accessLog?.flush(), () => concertsStore.flush()],
+});
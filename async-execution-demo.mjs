@@ -0,0 +1,874 @@
+#!/usr/bin/env node
+
+/**
+ * Node.js Async Execution Order Demo - ENHANCED VERSION
+ * This script demonstrates how setTimeout, Promises, and async/await work
+ * and shows their execution order in the event loop
+ *
+ * Based on Node.js Event Loop Phases:
+ * https://nodejs.org/en/docs/guides/event-loop-timers-and-nexttick/
+ *
+ * This is the command line; the demos themselves are a library in
+ * src/demos/demo-library.mjs.
+ */
+
+import { spawn } from 'node:child_process';
+import { createWriteStream, realpathSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { format, parseArgs } from 'node:util';
+import { AsyncTracer } from './src/demos/async-tracer.mjs';
+import {
+  GRAPH_FORMATS,
+  buildCausalityGraph,
+} from './src/demos/causality-graph.mjs';
+import {
+  buildTimeline,
+  renderTimeline,
+} from './src/demos/event-loop-timeline.mjs';
+import { LagMonitor } from './src/demos/lag-monitor.mjs';
+import {
+  ANSI_COLORS,
+  ConsoleReporter,
+  DemoRun,
+  JsonReporter,
+  NO_COLORS,
+  OP_TYPES,
+  combineReporters,
+  detectColor,
+  findDemo,
+  listDemos,
+  runDemo,
+} from './src/demos/demo-library.mjs';
+
+/**
+ * Colors are on for terminals and off when output is piped or redirected.
+ * --color / --no-color override the detection, then NO_COLOR / FORCE_COLOR.
+ */
+function shouldUseColor(argv) {
+  if (argv.includes('--no-color')) return false;
+  if (argv.includes('--color')) return true;
+  return detectColor(process.stdout);
+}
+
+const HELP = `Usage: node async-execution-demo.mjs [demo...] [options]
+
+Demos can be given by number or name (see --list). Without any, all demos
+run on the classic overlapping schedule.
+
+Options:
+  -d, --demo <id|name>  Run a demo (repeatable, same as a positional argument)
+  -l, --list            List the available demos and exit (one JSON object
+                        per demo with --format ndjson)
+  -i, --isolate         Run each demo in its own Node process, one at a time
+      --verify          Check each demo's actual order against its expected
+                        order; exits with code 1 on any mismatch
+      --format <fmt>    text (default) or ndjson: one JSON event per log()
+                        line on stdout, with no other output
+      --trace-file <f>  Also write the NDJSON events to a file
+      --trace-append    Append to the trace file instead of replacing it
+      --trace-async     Trace the demos' async resources with async_hooks and
+                        show the phase each log() call really ran in
+      --graph <fmt>     After each demo, print which callback scheduled which
+                        as a dot (Graphviz) or mermaid graph; implies
+                        --trace-async
+      --graph-file <f>  Write the graphs to a file instead of stdout
+      --graph-append    Append to the graph file instead of replacing it
+      --timeline        After each demo, chart which loop iteration and phase
+                        each log() call ran in; implies --trace-async
+      --lag             Measure event loop delay (p50/p99/max) during each
+                        demo and list the callbacks that blocked it
+      --lag-threshold <ms>
+                        Callbacks running longer than this count as blocking
+                        (default: 10); implies --lag
+      --color           Force colors (default: only when stdout is a terminal)
+      --no-color        Disable colors
+      --no-banner       Skip the title banner and badge legend
+      --no-diagram      Skip the event loop diagram
+      --no-summary      Skip the summary at the end
+  -h, --help            Show this help`;
+
+function parseCli(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      demo: { type: 'string', short: 'd', multiple: true, default: [] },
+      list: { type: 'boolean', short: 'l', default: false },
+      isolate: { type: 'boolean', short: 'i', default: false },
+      verify: { type: 'boolean', default: false },
+      format: { type: 'string', default: 'text' },
+      'trace-file': { type: 'string' },
+      'trace-append': { type: 'boolean', default: false },
+      'trace-async': { type: 'boolean', default: false },
+      graph: { type: 'string' },
+      'graph-file': { type: 'string' },
+      'graph-append': { type: 'boolean', default: false },
+      timeline: { type: 'boolean', default: false },
+      lag: { type: 'boolean', default: false },
+      'lag-threshold': { type: 'string' },
+      // Read by shouldUseColor(), which also colors the error when parsing fails
+      color: { type: 'boolean', default: false },
+      'no-color': { type: 'boolean', default: false },
+      'no-banner': { type: 'boolean', default: false },
+      'no-diagram': { type: 'boolean', default: false },
+      'no-summary': { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+
+  const selected = [...values.demo, ...positionals].map(selectDemo);
+  if (!['text', 'ndjson'].includes(values.format)) {
+    throw new Error(`--format must be text or ndjson, got "${values.format}"`);
+  }
+  if (
+    values.graph !== undefined &&
+    !['dot', 'mermaid'].includes(values.graph)
+  ) {
+    throw new Error(`--graph must be dot or mermaid, got "${values.graph}"`);
+  }
+  const lagThreshold =
+    values['lag-threshold'] === undefined
+      ? undefined
+      : Number(values['lag-threshold']);
+  if (lagThreshold !== undefined && !(lagThreshold >= 0)) {
+    throw new Error(
+      `--lag-threshold must be a number of milliseconds, got "${values['lag-threshold']}"`,
+    );
+  }
+  if (values['graph-file'] !== undefined && values.graph === undefined) {
+    throw new Error('--graph-file needs --graph dot or --graph mermaid');
+  }
+
+  return {
+    help: values.help,
+    list: values.list,
+    isolate: values.isolate,
+    verify: values.verify,
+    format: values.format,
+    traceFile: values['trace-file'],
+    traceAppend: values['trace-append'],
+    traceAsync:
+      values['trace-async'] || values.graph !== undefined || values.timeline,
+    graph: values.graph,
+    graphFile: values['graph-file'],
+    graphAppend: values['graph-append'],
+    timeline: values.timeline,
+    lag: values.lag || values['lag-threshold'] !== undefined,
+    lagThreshold: lagThreshold ?? 10,
+    banner: !values['no-banner'],
+    diagram: !values['no-diagram'],
+    summary: !values['no-summary'],
+    color: shouldUseColor(argv),
+    demos: selected,
+  };
+}
+
+function selectDemo(idOrName) {
+  const demo = findDemo(idOrName);
+  if (!demo) {
+    throw new Error(
+      `Unknown demo "${idOrName}". Run with --list to see the available demos.`,
+    );
+  }
+  return demo;
+}
+
+function printDemoList({ print, colors }, format) {
+  if (format === 'ndjson') {
+    for (const demo of listDemos()) {
+      process.stdout.write(`${JSON.stringify(demo)}\n`);
+    }
+    return;
+  }
+  print(`${colors.bright}${colors.cyan}Available demos:${colors.reset}\n`);
+  for (const demo of listDemos()) {
+    print(
+      `  ${colors.bright}${String(demo.id).padStart(2)}${colors.reset}  ${demo.name.padEnd(26)} ${colors.dim}${demo.title}${colors.reset}`,
+    );
+  }
+  print();
+}
+
+function printVerification({ print, colors }, demo, result) {
+  const verdict = result.passed
+    ? `${colors.bgGreen}${colors.bright} PASS ${colors.reset}`
+    : `${colors.bgRed}${colors.bright} FAIL ${colors.reset}`;
+  print(
+    `\n${verdict} Demo ${demo.id} (${demo.name}): actual order ${result.passed ? 'matches' : 'does NOT match'} the expected order`,
+  );
+  if (!result.passed) {
+    print(
+      result.lines
+        .map(
+          ({ ok, text }) =>
+            `${ok ? colors.green : colors.red}  ${text}${colors.reset}`,
+        )
+        .join('\n'),
+    );
+  }
+  print();
+}
+
+/**
+ * One demo at a time in this process, each allowed to finish completely
+ * (see runDemo())
+ * @param {import('node:stream').Writable} graphOutput - Where --graph writes
+ * @returns {Promise<boolean>} false if any demo failed verification
+ */
+async function runSequentially(
+  demos,
+  cli,
+  graphOutput,
+  { verify = false, graph, timeline = false } = {},
+) {
+  const { reporter, tracer, lagMonitor } = cli;
+  let allPassed = true;
+
+  for (const demo of demos) {
+    const result = await runDemo(demo.id, { reporter, tracer, lagMonitor });
+    if (result.lag) printLagReport(cli, `demo ${demo.id}`, result.lag);
+    if (tracer) printTraceSummary(cli, `demo ${demo.id}`);
+    if (graph) writeGraph(cli, demo, graph, graphOutput);
+    if (timeline) printTimeline(cli, demo);
+
+    if (verify) {
+      printVerification(cli, demo, result.verification);
+      allPassed &&= result.verification.passed;
+    }
+  }
+
+  return allPassed;
+}
+
+/**
+ * One demo at a time, each in a fresh Node process with an empty event loop
+ * @returns {Promise<boolean>} false if any demo failed verification
+ */
+async function runIsolated(
+  demos,
+  { colors },
+  {
+    verify = false,
+    format = 'text',
+    traceFile,
+    traceAsync = false,
+    graph,
+    graphFile,
+    timeline = false,
+    lag = false,
+    lagThreshold,
+  } = {},
+) {
+  let allPassed = true;
+
+  for (const demo of demos) {
+    const args = [
+      fileURLToPath(import.meta.url),
+      String(demo.id),
+      '--no-banner',
+      '--no-diagram',
+      '--no-summary',
+      '--format',
+      format,
+      colors.reset ? '--color' : '--no-color',
+    ];
+    if (verify) args.push('--verify');
+    if (traceAsync) args.push('--trace-async');
+    // The parent already created the file; every child adds its events
+    if (traceFile) args.push('--trace-file', traceFile, '--trace-append');
+    if (graph) args.push('--graph', graph);
+    // Same for the graph file
+    if (graphFile) args.push('--graph-file', graphFile, '--graph-append');
+    if (timeline) args.push('--timeline');
+    if (lag) args.push('--lag-threshold', String(lagThreshold));
+
+    const exitCode = await new Promise((resolve, reject) => {
+      const child = spawn(process.execPath, args, { stdio: 'inherit' });
+      child.on('error', reject);
+      child.on('exit', resolve);
+    });
+
+    // With --verify, exit code 1 means the order did not match
+    if (verify && exitCode === 1) {
+      allPassed = false;
+    } else if (exitCode !== 0) {
+      throw new Error(
+        `Demo ${demo.id} (${demo.name}) exited with code ${exitCode}`,
+      );
+    }
+  }
+
+  return allPassed;
+}
+
+// The original schedule: demos deliberately overlap in time, each with a
+// run of its own
+async function runClassicSchedule({ reporter, tracer, lagMonitor }) {
+  const start = (id) =>
+    new DemoRun(findDemo(id), { reporter, tracer, lagMonitor }).start();
+  const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  start(1);
+  setTimeout(() => start(2), 150);
+  setTimeout(() => start(3), 300);
+  setTimeout(() => start(5), 450);
+  await wait(150);
+  await start(4);
+  await wait(200);
+  await start(6);
+  await wait(200);
+  await start(7);
+  await wait(300);
+  await start(8);
+  await wait(200);
+  start(9);
+  await wait(100);
+  start(10);
+  await wait(100);
+  start(11);
+  await wait(200);
+  start(12);
+  await wait(100);
+  start(13);
+  await wait(100);
+  await start(14);
+  await wait(200);
+  await start(15);
+  await wait(200);
+  await start(16);
+  await wait(200);
+  start(17);
+  await wait(100);
+  start(18);
+  await wait(200);
+  await start(19);
+  await wait(200);
+  await start(20);
+  await wait(200);
+  await start(21);
+
+  await wait(500);
+}
+
+/**
+ * Write the scheduling graph of a demo that just ran with the tracer on
+ * @param {object} cli
+ * @param {{id: number, title: string}} demo
+ * @param {'dot'|'mermaid'} graphFormat
+ * @param {import('stream').Writable} output
+ */
+function writeGraph({ tracer }, demo, graphFormat, output) {
+  const graph = buildCausalityGraph(tracer, demo.id);
+  const text = GRAPH_FORMATS[graphFormat](
+    graph,
+    `Demo ${demo.id}: ${demo.title}`,
+  );
+  tracer.untraced(() => output.write(`\n${text}\n`));
+}
+
+/**
+ * Swimlane chart of where a demo's log() calls landed in the event loop,
+ * the run-specific counterpart of printEventLoopDiagram()
+ */
+function printTimeline({ print, colors, tracer }, demo) {
+  const laneColors = {
+    sync: colors[OP_TYPES.SYNC.color],
+    nextTick: colors[OP_TYPES.NEXTTICK.color],
+    microtask: colors[OP_TYPES.MICROTASK.color],
+    timers: colors[OP_TYPES.TIMER.color],
+    poll: colors[OP_TYPES.IO.color],
+    check: colors[OP_TYPES.IMMEDIATE.color],
+    close: colors.white,
+  };
+
+  print(
+    `\n${colors.bright}${colors.cyan}Event loop timeline - demo ${demo.id}${colors.reset} ${colors.dim}(log() numbers per loop iteration)${colors.reset}`,
+  );
+  print(
+    renderTimeline(buildTimeline(tracer, demo.id), {
+      laneColors,
+      colors,
+      width: process.stdout.columns || 100,
+    }),
+  );
+}
+
+/**
+ * Event loop delay while a demo ran, and the callbacks responsible for it
+ * @param {object} cli
+ * @param {string} scope - What was measured, e.g. "demo 3"
+ * @param {ReturnType<LagMonitor['stop']>} report
+ */
+function printLagReport({ print, colors, lagMonitor }, scope, report) {
+  const { slowCallbacks } = report;
+  const color = report.max > lagMonitor.thresholdMs ? colors.red : colors.green;
+
+  print(
+    `\n${colors.bright}Event loop lag during ${scope}:${colors.reset} ${color}p50 ${report.p50}ms · p99 ${report.p99}ms · max ${report.max}ms${colors.reset}`,
+  );
+  if (slowCallbacks.length === 0) {
+    print(
+      `${colors.green}No callback ran longer than ${lagMonitor.thresholdMs}ms${colors.reset}\n`,
+    );
+    return;
+  }
+
+  print(
+    `${colors.yellow}⚠ ${slowCallbacks.length} callback(s) ran longer than ${lagMonitor.thresholdMs}ms:${colors.reset}`,
+  );
+  for (const callback of slowCallbacks) {
+    const logged =
+      callback.messages.length > 0
+        ? ` ${colors.dim}logged: ${callback.messages.map((message) => `"${message.trim()}"`).join(', ')}${colors.reset}`
+        : '';
+    print(
+      `  ${colors.red}${String(callback.durationMs).padStart(7)}ms${colors.reset}  ${callback.type} #${callback.asyncId}${logged}`,
+    );
+  }
+  print();
+}
+
+function printTraceSummary({ print, colors, tracer }, scope) {
+  const resources = [...tracer.resources.values()];
+  const counts = {};
+  for (const resource of resources) {
+    counts[resource.type] = (counts[resource.type] ?? 0) + 1;
+  }
+  const byType = Object.entries(counts)
+    .map(([type, count]) => `${type} ${count}`)
+    .join(', ');
+  // Each log() call left a mark event on the tracer
+  const mismatchCount = tracer.events.filter(
+    (event) => event.kind === 'mark' && event.data.observed.mismatch,
+  ).length;
+  const mismatches =
+    mismatchCount === 0
+      ? `${colors.green}every label matches its observed phase${colors.reset}`
+      : `${colors.yellow}${mismatchCount} label(s) differ from the observed phase${colors.reset}`;
+
+  print(
+    `\n${colors.dim}async_hooks: ${resources.length} resources traced in ${scope} (${byType || 'none'})${colors.reset}`,
+  );
+  print(`${mismatches}\n`);
+}
+
+function printBanner({ print, colors }) {
+  print(`${colors.bright}${colors.cyan}`);
+  print('╔════════════════════════════════════════════════════════════╗');
+  print('║                                                            ║');
+  print('║   Node.js Event Loop - Complete Visual Demonstration       ║');
+  print('║                                                            ║');
+  print('╚════════════════════════════════════════════════════════════╝');
+  print(colors.reset);
+}
+
+function printBadgeLegend({ print, colors }) {
+  print(
+    `${colors.bright}${colors.yellow}Operation Types & Badges:${colors.reset}`,
+  );
+  print(
+    `  ${colors[OP_TYPES.SYNC.color]}${colors.bright}[${OP_TYPES.SYNC.badge}]${colors.reset} P${OP_TYPES.SYNC.priority} - Synchronous code (Call Stack)`,
+  );
+  print(
+    `  ${colors[OP_TYPES.NEXTTICK.color]}${colors.bright}[${OP_TYPES.NEXTTICK.badge}]${colors.reset} P${OP_TYPES.NEXTTICK.priority} - process.nextTick() - Highest priority async`,
+  );
+  print(
+    `  ${colors[OP_TYPES.MICROTASK.color]}${colors.bright}[${OP_TYPES.MICROTASK.badge}]${colors.reset} P${OP_TYPES.MICROTASK.priority} - Microtasks (Promises, queueMicrotask)`,
+  );
+  print(
+    `  ${colors[OP_TYPES.TIMER.color]}${colors.bright}[${OP_TYPES.TIMER.badge}]${colors.reset} P${OP_TYPES.TIMER.priority} - Timers (setTimeout, setInterval)`,
+  );
+  print(
+    `  ${colors[OP_TYPES.IMMEDIATE.color]}${colors.bright}[${OP_TYPES.IMMEDIATE.badge}]${colors.reset} P${OP_TYPES.IMMEDIATE.priority} - setImmediate (Check phase)`,
+  );
+  print(
+    `  ${colors[OP_TYPES.IO.color]}${colors.bright}[${OP_TYPES.IO.badge}]${colors.reset} P${OP_TYPES.IO.priority} - I/O callbacks (Poll phase)`,
+  );
+  print(
+    `  ${colors[OP_TYPES.PENDING.color]}${colors.bright}[${OP_TYPES.PENDING.badge}]${colors.reset} P${OP_TYPES.PENDING.priority} - Deferred I/O callbacks (Pending callbacks phase)`,
+  );
+  print(
+    `  ${colors[OP_TYPES.REJECTION.color]}${colors.bright}[${OP_TYPES.REJECTION.badge}]${colors.reset} P${OP_TYPES.REJECTION.priority} - Unhandled rejection events (after microtasks)`,
+  );
+  print(
+    `  ${colors[OP_TYPES.CLOSE.color]}${colors.bright}[${OP_TYPES.CLOSE.badge}]${colors.reset} P${OP_TYPES.CLOSE.priority} - 'close' events (Close callbacks phase)`,
+  );
+  print(
+    `  ${colors[OP_TYPES.WORKER.color]}${colors.bright}[${OP_TYPES.WORKER.badge}]${colors.reset} P${OP_TYPES.WORKER.priority} - worker_threads results (Poll phase)`,
+  );
+  print(
+    `  ${colors[OP_TYPES.THREADPOOL.color]}${colors.bright}[${OP_TYPES.THREADPOOL.badge}]${colors.reset} P${OP_TYPES.THREADPOOL.priority} - libuv thread pool results (Poll phase)\n`,
+  );
+}
+
+// ============================================================================
+// Main execution
+// ============================================================================
+export async function main(argv = process.argv.slice(2)) {
+  const options = parseCli(argv);
+  const colors = options.color ? ANSI_COLORS : NO_COLORS;
+  // Human-readable output goes here; null while NDJSON owns stdout
+  const textOutput = options.format === 'ndjson' ? null : process.stdout;
+
+  const tracer = options.traceAsync ? new AsyncTracer().enable() : null;
+  const lagMonitor = options.lag
+    ? new LagMonitor({ thresholdMs: options.lagThreshold })
+    : null;
+
+  // Everything the CLI prints itself, around the demo runs
+  const print = (...args) => {
+    if (!textOutput) return;
+    const write = () => textOutput.write(`${format(...args)}\n`);
+    // Writes to stdout create async resources of their own
+    if (tracer) tracer.untraced(write);
+    else write();
+  };
+  const cli = {
+    print,
+    colors,
+    separator(title) {
+      print(`\n${colors.bright}${colors.cyan}${'='.repeat(60)}`);
+      print(`  ${title}`);
+      print(`${'='.repeat(60)}${colors.reset}\n`);
+    },
+    tracer,
+    lagMonitor,
+    reporter: null,
+  };
+
+  if (options.help) {
+    print(HELP);
+    return;
+  }
+  if (options.list) {
+    printDemoList(cli, options.format);
+    return;
+  }
+
+  const reporters = [
+    textOutput
+      ? new ConsoleReporter({ stream: textOutput, color: options.color })
+      : new JsonReporter(process.stdout),
+  ];
+  let traceFile = null;
+  if (options.traceFile) {
+    // In --isolate mode the children write the events, this only truncates
+    traceFile = createWriteStream(options.traceFile, {
+      flags: options.traceAppend ? 'a' : 'w',
+    });
+    if (!options.isolate) reporters.push(new JsonReporter(traceFile));
+  }
+  cli.reporter = combineReporters(...reporters);
+
+  let graphFile = null;
+  if (options.graphFile) {
+    graphFile = createWriteStream(options.graphFile, {
+      flags: options.graphAppend ? 'a' : 'w',
+    });
+  }
+  // Graphs go to stdout between the demos unless there is a graph file
+  const graphOutput = graphFile ?? textOutput ?? process.stdout;
+
+  if (options.banner) {
+    printBanner(cli);
+  }
+  if (options.diagram) {
+    printEventLoopDiagram(cli);
+  }
+  if (options.banner) {
+    printBadgeLegend(cli);
+  }
+
+  // Verification needs demos that don't overlap, so it never uses the
+  // classic schedule
+  const demos = options.demos.length > 0 ? options.demos : listDemos();
+  let allPassed = true;
+  if (options.isolate) {
+    allPassed = await runIsolated(demos, cli, options);
+  } else if (options.demos.length > 0 || options.verify) {
+    allPassed = await runSequentially(demos, cli, graphOutput, options);
+  } else {
+    await lagMonitor?.start();
+    await runClassicSchedule(cli);
+    if (lagMonitor) printLagReport(cli, 'all demos', lagMonitor.stop());
+    if (tracer) printTraceSummary(cli, 'all demos');
+    if (options.graph) {
+      for (const demo of demos) {
+        writeGraph(cli, demo, options.graph, graphOutput);
+      }
+    }
+    if (options.timeline) {
+      for (const demo of demos) printTimeline(cli, demo);
+    }
+  }
+
+  if (options.summary) {
+    printDetailedSummary(cli);
+  }
+
+  if (traceFile) {
+    await new Promise((resolve) => traceFile.end(resolve));
+  }
+  if (graphFile) {
+    await new Promise((resolve) => graphFile.end(resolve));
+  }
+
+  if (!allPassed) {
+    console.error(
+      `${colors.red}${colors.bright}Order verification failed: at least one demo did not run in its expected order${colors.reset}`,
+    );
+    process.exitCode = 1;
+  }
+}
+
+// ============================================================================
+// Event Loop Diagram (from Node.js docs)
+// ============================================================================
+function printEventLoopDiagram({ print, colors }) {
+  print(
+    `${colors.bright}${colors.cyan}Node.js Event Loop Phases:${colors.reset}`,
+  );
+  print(`${colors.dim}
+   ┌───────────────────────────┐
+┌─>│           timers          │  setTimeout(), setInterval()
+│  └─────────────┬─────────────┘
+│  ┌─────────────┴─────────────┐
+│  │     pending callbacks     │  I/O callbacks deferred
+│  └─────────────┬─────────────┘
+│  ┌─────────────┴─────────────┐
+│  │       idle, prepare       │  Internal use only
+│  └─────────────┬─────────────┘
+│  ┌─────────────┴─────────────┐
+│  │           poll            │  Retrieve new I/O events
+│  └─────────────┬─────────────┘
+│  ┌─────────────┴─────────────┐
+│  │           check           │  setImmediate() callbacks
+│  └─────────────┬─────────────┘
+│  ┌─────────────┴─────────────┐
+└──│      close callbacks      │  e.g. socket.on('close')
+   └───────────────────────────┘
+
+MICROTASKS run between EACH phase:
+  • process.nextTick() queue  (highest priority)
+  • Promise callbacks queue
+  • queueMicrotask() queue
+${colors.reset}\n`);
+}
+
+// ============================================================================
+// Detailed Summary with Use Cases
+// ============================================================================
+function printDetailedSummary({ print, colors, separator }) {
+  separator('Summary - Complete Event Loop Execution Priority');
+
+  print(
+    `${colors.bright}${colors.cyan}EXECUTION ORDER (Priority from highest to lowest):${colors.reset}\n`,
+  );
+
+  print(
+    `${colors.bright}P1 - SYNCHRONOUS CODE${colors.reset} ${colors[OP_TYPES.SYNC.color]}[SYNC]${colors.reset}`,
+  );
+  print(`  • Executes immediately on the call stack`);
+  print(`  • Blocks all other operations until complete`);
+  print(
+    `  • ${colors.yellow}Use for:${colors.reset} Variable declarations, function calls, calculations`,
+  );
+  print(
+    `  • ${colors.red}Avoid for:${colors.reset} Heavy computations (blocks event loop)\n`,
+  );
+
+  print(
+    `${colors.bright}P2.1 - PROCESS.NEXTTICK${colors.reset} ${colors[OP_TYPES.NEXTTICK.color]}[NEXTtick]${colors.reset}`,
+  );
+  print(`  • Runs BEFORE any other async operation`);
+  print(`  • Runs BEFORE other microtasks (Promises)`);
+  print(`  • Can cause starvation if used recursively`);
+  print(
+    `  • ${colors.yellow}Use for:${colors.reset} Cleanup, error handling, letting call stack unwind`,
+  );
+  print(
+    `  • ${colors.green}Example:${colors.reset} process.nextTick(() => emitEvent())`,
+  );
+  print(`  • ${colors.red}Caution:${colors.reset} Can delay I/O if overused\n`);
+
+  print(
+    `${colors.bright}P2 - MICROTASKS${colors.reset} ${colors[OP_TYPES.MICROTASK.color]}[MICROTSK]${colors.reset}`,
+  );
+  print(`  • Runs after nextTick queue is empty`);
+  print(`  • ALL microtasks complete before moving to macrotasks`);
+  print(`  • Includes: Promise.then/catch/finally, queueMicrotask()`);
+  print(
+    `  • ${colors.yellow}Use for:${colors.reset} Async operations, API calls, database queries`,
+  );
+  print(
+    `  • ${colors.green}Example:${colors.reset} fetch(url).then(data => process(data))`,
+  );
+  print(
+    `  • ${colors.green}Best Practice:${colors.reset} Prefer Promises over callbacks\n`,
+  );
+
+  print(
+    `${colors.bright}P3 - TIMERS${colors.reset} ${colors[OP_TYPES.TIMER.color]}[TIMER]${colors.reset}`,
+  );
+  print(`  • Runs in the Timers phase of event loop`);
+  print(`  • Delay is MINIMUM time, not guaranteed exact time`);
+  print(`  • setTimeout(fn, 0) still waits for microtasks to complete`);
+  print(
+    `  • ${colors.yellow}Use for:${colors.reset} Delays, debouncing, throttling, scheduling`,
+  );
+  print(
+    `  • ${colors.green}Example:${colors.reset} setTimeout(() => saveCache(), 5000)`,
+  );
+  print(
+    `  • ${colors.red}Not for:${colors.reset} Precise timing (use hrtime for that)\n`,
+  );
+
+  print(
+    `${colors.bright}P4 - SETIMMEDIATE${colors.reset} ${colors[OP_TYPES.IMMEDIATE.color]}[IMMEDIAT]${colors.reset}`,
+  );
+  print(`  • Runs in the Check phase (after Poll phase)`);
+  print(`  • Designed to execute after I/O events`);
+  print(`  • More predictable than setTimeout(fn, 0) in I/O contexts`);
+  print(
+    `  • ${colors.yellow}Use for:${colors.reset} Breaking up long operations, yielding to I/O`,
+  );
+  print(
+    `  • ${colors.green}Example:${colors.reset} setImmediate(() => processNextBatch())`,
+  );
+  print(
+    `  • ${colors.green}Best Practice:${colors.reset} Use in I/O callbacks for better performance\n`,
+  );
+
+  print(
+    `${colors.bright}P5 - I/O CALLBACKS${colors.reset} ${colors[OP_TYPES.IO.color]}[I/O]${colors.reset}`,
+  );
+  print(`  • Runs in the Poll phase`);
+  print(`  • Handles file system, network, database operations`);
+  print(`  • Event loop waits here for events when idle`);
+  print(
+    `  • ${colors.yellow}Use for:${colors.reset} fs.readFile, http.request, database queries`,
+  );
+  print(
+    `  • ${colors.green}Example:${colors.reset} fs.readFile('file.txt', callback)`,
+  );
+  print(
+    `  • ${colors.green}Tip:${colors.reset} Use async/await for cleaner I/O code\n`,
+  );
+
+  print(
+    `${colors.bright}P3.5 / P6 - PENDING & CLOSE CALLBACKS${colors.reset} ${colors[OP_TYPES.PENDING.color]}[PENDING]${colors.reset} ${colors[OP_TYPES.CLOSE.color]}[CLOSE]${colors.reset}`,
+  );
+  print(
+    `  • Pending: I/O errors libuv deferred instead of reporting synchronously`,
+  );
+  print(`  • Close: 'close' events of destroyed sockets and closed servers`);
+  print(`  • Close callbacks are the last phase, after setImmediate`);
+  print(
+    `  • ${colors.green}Example:${colors.reset} socket.destroy(); socket.on('close', cleanup)\n`,
+  );
+
+  separator('Real-World Use Cases by Operation Type');
+
+  print(`${colors.bright}${colors.green}WHEN TO USE EACH:${colors.reset}\n`);
+
+  print(`${colors.cyan}Synchronous Code:${colors.reset}`);
+  print(`  ✓ Simple calculations and transformations`);
+  print(`  ✓ Validations and guards`);
+  print(`  ✓ Setting up variables and initial state`);
+  print(`  ✗ Heavy CPU work (use Worker Threads instead)\n`);
+
+  print(`${colors.cyan}process.nextTick():${colors.reset}`);
+  print(`  ✓ Emitting events after object construction`);
+  print(`  ✓ Error handling before I/O operations`);
+  print(`  ✓ Letting call stack unwind before continuing`);
+  print(`  ✗ Regular async operations (use Promises instead)\n`);
+
+  print(`${colors.cyan}Promises / Microtasks:${colors.reset}`);
+  print(`  ✓ API calls and HTTP requests`);
+  print(`  ✓ Database queries`);
+  print(`  ✓ Any async operation that should complete ASAP`);
+  print(`  ✓ Chaining dependent async operations\n`);
+
+  print(`${colors.cyan}setTimeout / setInterval:${colors.reset}`);
+  print(`  ✓ Delays and scheduled tasks`);
+  print(`  ✓ Debouncing user input`);
+  print(`  ✓ Polling with intervals`);
+  print(`  ✓ Breaking up long-running sync code\n`);
+
+  print(`${colors.cyan}setImmediate:${colors.reset}`);
+  print(`  ✓ After I/O operations complete`);
+  print(`  ✓ Breaking up batch processing`);
+  print(`  ✓ Yielding to I/O in loops`);
+  print(`  ✓ Server-side optimizations (Node.js specific)\n`);
+
+  print(`${colors.cyan}async/await:${colors.reset}`);
+  print(`  ✓ Sequential async operations (clean code)`);
+  print(`  ✓ Error handling with try/catch`);
+  print(`  ✓ Conditional async logic`);
+  print(`  ✓ Use Promise.all() for parallel operations\n`);
+
+  separator('Performance Tips');
+
+  print(
+    `${colors.bright}${colors.yellow}OPTIMIZATION STRATEGIES:${colors.reset}\n`,
+  );
+
+  print(`${colors.green}1. Parallel vs Sequential:${colors.reset}`);
+  print(`   ${colors.dim}// SLOW (Sequential - 200ms total)${colors.reset}`);
+  print(`   const user = await fetchUser();`);
+  print(`   const posts = await fetchPosts();  // Waits for user first`);
+  print(`\n   ${colors.dim}// FAST (Parallel - 100ms total)${colors.reset}`);
+  print(`   const [user, posts] = await Promise.all([`);
+  print(`     fetchUser(),`);
+  print(`     fetchPosts()  // Runs simultaneously`);
+  print(`   ]);\n`);
+
+  print(`${colors.green}2. Don't Block the Event Loop:${colors.reset}`);
+  print(`   ${colors.red}✗ Bad:${colors.reset} Long synchronous loops`);
+  print(
+    `   ${colors.green}✓ Good:${colors.reset} Break up work with setImmediate()`,
+  );
+  print(
+    `   ${colors.dim}See it measured: node async-execution-demo.mjs 16 --lag${colors.reset}\n`,
+  );
+
+  print(`${colors.green}3. Use the Right Tool:${colors.reset}`);
+  print(`   ${colors.dim}// In I/O callback context:${colors.reset}`);
+  print(`   fs.readFile('file.txt', () => {`);
+  print(`     setImmediate(() => process());  // Better than setTimeout`);
+  print(`   });\n`);
+
+  print(`${colors.green}4. Avoid nextTick Recursion:${colors.reset}`);
+  print(`   ${colors.red}✗ Bad:${colors.reset} Recursive nextTick starves I/O`);
+  print(
+    `   ${colors.green}✓ Good:${colors.reset} Use setImmediate for recursion\n`,
+  );
+
+  print(`${colors.bright}${colors.cyan}KEY TAKEAWAYS:${colors.reset}`);
+  print(`  • Lower priority number = executes first`);
+  print(`  • Microtasks ALWAYS complete before next macrotask`);
+  print(`  • One macrotask per event loop tick`);
+  print(`  • async/await is syntactic sugar over Promises`);
+  print(`  • Use Promise.all() for parallel operations`);
+  print(`  • Don't block the event loop with sync code`);
+  print(`  • Choose the right async primitive for your use case\n`);
+}
+
+// Only when run as a script: importing this module (e.g. to call main())
+// has no side effects
+if (
+  process.argv[1] &&
+  realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)
+) {
+  // Piping into e.g. `head` closes stdout early; that is not an error
+  process.stdout.on('error', (error) => {
+    if (error.code === 'EPIPE') process.exit(process.exitCode ?? 0);
+    throw error;
+  });
+
+  main().catch((error) => {
+    const colors = shouldUseColor(process.argv) ? ANSI_COLORS : NO_COLORS;
+    console.error(`${colors.red}${error.message}${colors.reset}`);
+    process.exitCode = 1;
+  });
+}
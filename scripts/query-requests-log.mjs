@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+
+// Query the access log both servers write (accessLog.file in the config).
+// Run with --help for options.
+
+import { createReadStream, existsSync } from 'node:fs';
+import { createInterface } from 'node:readline';
+import { parseArgs } from 'node:util';
+import { loadConfig } from '../src/config.mjs';
+import { rotatedPath } from '../src/logging/access-log.mjs';
+
+const DURATION_UNITS = { s: 1000, m: 60_000, h: 3_600_000, d: 86_400_000 };
+
+const HELP = `Query the access log written by app.mjs and src/app-express.mjs
+(accessLog.file in the config, requests.jsonl by default)
+
+Usage: node scripts/query-requests-log.mjs [options]
+
+  --path <pattern>   Path prefix, or a pattern with * wildcards (/api/*)
+  --status <code>    Exact status (404), a class (5xx) or a range (400-499)
+  --method <method>  HTTP method
+  --since <time>     ISO date/time, or a duration ago: 30s, 15m, 2h, 7d
+  --until <time>     Same formats as --since
+  --file <path>      Log file (default: accessLog.file from src/config.mjs)
+  --rotated          Also search rotated files (requests.1.jsonl, ...)
+  --limit <n>        Show only the last n matches
+  --json             Print matching entries as JSON lines
+  --help             Show this help`;
+
+function parseTime(value, option) {
+  const duration = /^(\d+)([smhd])$/.exec(value);
+  if (duration) {
+    return Date.now() - Number(duration[1]) * DURATION_UNITS[duration[2]];
+  }
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`${option} must be an ISO date or a duration like 15m`);
+  }
+  return time;
+}
+
+function statusMatcher(value) {
+  const statusClass = /^([1-5])xx$/i.exec(value);
+  if (statusClass) {
+    const min = Number(statusClass[1]) * 100;
+    return (status) => status >= min && status < min + 100;
+  }
+  const range = /^(\d{3})-(\d{3})$/.exec(value);
+  if (range) {
+    return (status) => status >= Number(range[1]) && status <= Number(range[2]);
+  }
+  if (/^\d{3}$/.test(value)) {
+    return (status) => status === Number(value);
+  }
+  throw new Error('--status must look like 404, 4xx or 400-499');
+}
+
+function pathMatcher(value) {
+  if (!value.includes('*')) {
+    return (path) => path.startsWith(value);
+  }
+  const pattern = value
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return (path) => new RegExp(`^${pattern}$`).test(path);
+}
+
+function buildFilter(options) {
+  const checks = [];
+  if (options.path) {
+    const matches = pathMatcher(options.path);
+    checks.push((entry) => matches(entry.path));
+  }
+  if (options.status) {
+    const matches = statusMatcher(options.status);
+    checks.push((entry) => matches(entry.status));
+  }
+  if (options.method) {
+    const method = options.method.toUpperCase();
+    checks.push((entry) => entry.method === method);
+  }
+  if (options.since) {
+    const since = parseTime(options.since, '--since');
+    checks.push((entry) => Date.parse(entry.time) >= since);
+  }
+  if (options.until) {
+    const until = parseTime(options.until, '--until');
+    checks.push((entry) => Date.parse(entry.time) <= until);
+  }
+  return (entry) => checks.every((check) => check(entry));
+}
+
+// Oldest first, so output stays in chronological order
+function logFiles(filePath, includeRotated) {
+  const files = [];
+  if (includeRotated) {
+    for (let index = 1; existsSync(rotatedPath(filePath, index)); index++) {
+      files.unshift(rotatedPath(filePath, index));
+    }
+  }
+  if (existsSync(filePath)) files.push(filePath);
+  return files;
+}
+
+async function* readEntries(filePath) {
+  const lines = createInterface({ input: createReadStream(filePath) });
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      // The file may hold other JSON lines; only access log entries count
+      if (entry.method && 'status' in entry && entry.time) yield entry;
+    } catch {
+      // Skip a partially written last line
+    }
+  }
+}
+
+function formatEntry(entry) {
+  const path = entry.query ? `${entry.path}?${entry.query}` : entry.path;
+  return [
+    entry.time,
+    String(entry.status ?? '---'),
+    entry.method.padEnd(6),
+    `${entry.durationMs.toFixed(1)}ms`.padStart(9),
+    `${entry.bytes}B`.padStart(8),
+    path,
+    entry.id,
+  ].join('  ');
+}
+
+async function main() {
+  const { values: options } = parseArgs({
+    options: {
+      path: { type: 'string' },
+      status: { type: 'string' },
+      method: { type: 'string' },
+      since: { type: 'string' },
+      until: { type: 'string' },
+      file: { type: 'string', default: loadConfig().accessLog.file },
+      rotated: { type: 'boolean', default: false },
+      limit: { type: 'string' },
+      json: { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false },
+    },
+  });
+
+  if (options.help) {
+    console.log(HELP);
+    return;
+  }
+
+  const limit = options.limit === undefined ? Infinity : Number(options.limit);
+  if (!Number.isInteger(limit) && limit !== Infinity) {
+    throw new Error('--limit must be a whole number');
+  }
+
+  const matches = buildFilter(options);
+  const results = [];
+  for (const file of logFiles(options.file, options.rotated)) {
+    for await (const entry of readEntries(file)) {
+      if (!matches(entry)) continue;
+      results.push(entry);
+      if (results.length > limit) results.shift();
+    }
+  }
+
+  for (const entry of results) {
+    console.log(options.json ? JSON.stringify(entry) : formatEntry(entry));
+  }
+  if (!options.json) {
+    console.error(`\n${results.length} matching request(s)`);
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
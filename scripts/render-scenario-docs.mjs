@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+
+// Write DEMO-SCENARIOS.md from src/public/js/demo-scenarios.mjs, the same
+// definitions the CLI demo and async-demo.html run. Pass --check to only
+// report whether the file is up to date (exit code 1 when it is not).
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { PROJECT_ROOT } from '../src/config.mjs';
+import {
+  SCENARIOS,
+  formatExpected,
+  nodeOnlyApis,
+  scenarioSource,
+} from '../src/public/js/demo-scenarios.mjs';
+
+const OUTPUT = join(PROJECT_ROOT, 'DEMO-SCENARIOS.md');
+
+function renderScenario(scenario) {
+  const expected = scenario.expected.map((step, index) =>
+    typeof step === 'string'
+      ? `${index + 1}. ${step}`
+      : `${index + 1}. In any order: ${formatExpected([step]).slice(1, -1)}`,
+  );
+  const nodeOnly = nodeOnlyApis(scenario);
+  const where =
+    nodeOnly.length > 0
+      ? `In async-demo.html, browsers run it with stand-ins for ${nodeOnly.map((api) => `\`${api}\``).join(' and ')}, next to the real Node.js run.`
+      : 'async-demo.html runs it in the browser and in Node.js side by side.';
+
+  return `## ${scenario.id}. ${scenario.title}
+
+${scenario.explanation}
+
+Run it with \`node async-execution-demo.mjs ${scenario.name}\`. ${where}
+
+\`\`\`javascript
+${scenarioSource(scenario)}
+\`\`\`
+
+**Expected order in Node.js:**
+
+${expected.join('\n')}
+`;
+}
+
+function render() {
+  return `# Demo Scenarios
+
+<!-- Generated by scripts/render-scenario-docs.mjs from
+     src/public/js/demo-scenarios.mjs - edit the scenarios, not this file -->
+
+The core ordering demos, shared by the terminal demo
+([async-execution-demo.mjs](async-execution-demo.mjs), demos 1-${SCENARIOS.length}) and the
+browser page ([async-demo.html](src/public/async-demo.html)). In the code,
+\`log(message, type, details)\` prints one numbered line and \`wait(ms)\`
+returns a promise that resolves after \`ms\` milliseconds.
+
+${SCENARIOS.map(renderScenario).join('\n')}`;
+}
+
+const markdown = render();
+
+if (process.argv.includes('--check')) {
+  const current = await readFile(OUTPUT, 'utf8').catch(() => '');
+  if (current !== markdown) {
+    console.error(
+      'DEMO-SCENARIOS.md is out of date, run node scripts/render-scenario-docs.mjs',
+    );
+    process.exitCode = 1;
+  }
+} else {
+  await writeFile(OUTPUT, markdown);
+  console.log(`Wrote ${OUTPUT}`);
+}
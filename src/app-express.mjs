@@ -1,10 +1,79 @@
 import express from 'express';
 import { join } from 'node:path';
+import {
+  checkListQuery,
+  concertListQuerySchema,
+} from './concerts/concert-schemas.mjs';
+import { ConcertsRepository } from './concerts/concerts-repository.mjs';
+import { createConcertsRouter } from './concerts/concerts-router.mjs';
+import { loadConfig } from './config.mjs';
+import { DemoRunner } from './demos/demo-runner.mjs';
+import { createDemosRouter } from './demos/demos-router.mjs';
+import { registerGracefulShutdown } from './graceful-shutdown.mjs';
+import { HealthMonitor } from './health.mjs';
+import { cors } from './http/cors.mjs';
+import { errorHandler, notFoundHandler } from './http/error-handlers.mjs';
+import { NotFoundError } from './http/errors.mjs';
+import { RateLimiter, rateLimit } from './http/rate-limit.mjs';
+import { securityHeaders } from './http/security-headers.mjs';
+import { closeEventStreams } from './http/sse.mjs';
+import { validate } from './http/validate.mjs';
+import { JsonLinesLog, accessLogger } from './logging/access-log.mjs';
+import { createPlaygroundRouter } from './playground/playground-router.mjs';
+import { PlaygroundRunner } from './playground/playground-runner.mjs';
+import { JsonFileStore } from './storage/json-file-store.mjs';
+import { renderView } from './views/view-engine.mjs';
 
+const config = loadConfig();
+const health = new HealthMonitor();
 const app = express();
 
+app.disable('x-powered-by');
+
+// Server-rendered pages live in src/views as ES modules (see views/html.mjs)
+app.engine('mjs', renderView);
+app.set('view engine', 'mjs');
+app.set('views', config.viewsDir);
+
+const concertsStore = new JsonFileStore(join(config.dataDir, 'concerts.json'));
+const concerts = await ConcertsRepository.load(concertsStore);
+const demoRunner = new DemoRunner();
+const playground = new PlaygroundRunner();
+const { security } = config;
+
+app.use(securityHeaders(security));
+
+// Registered before the access log so probes don't flood it
+app.get('/healthz', (req, res) => {
+  res.status(200).json(health.report());
+});
+
+app.get('/readyz', (req, res) => {
+  res.status(health.ready ? 200 : 503).json(health.readiness());
+});
+
+// One JSON line per request; query it with scripts/query-requests-log.mjs
+const accessLog = config.accessLog.enabled
+  ? new JsonLinesLog(config.accessLog.file, config.accessLog)
+  : null;
+if (accessLog) {
+  app.use(accessLogger(accessLog));
+}
+
+// CORS first, so that 429 responses reach scripts on allowed origins too
+app.use(
+  '/api',
+  cors({ origins: security.corsOrigins }),
+  rateLimit(new RateLimiter(security.rateLimit)),
+);
+
+app.use(express.json({ limit: security.bodyLimitBytes }));
+app.use(
+  express.urlencoded({ extended: false, limit: security.bodyLimitBytes }),
+);
+
 // Serve static files (CSS, images, etc.) from the public folder
-app.use(express.static(join(process.cwd(), 'src', 'public')));
+app.use(express.static(config.publicDir));
 
 function requestCallback(request, response) {
   response.status(200).send('request received');
@@ -13,7 +82,6 @@ function requestCallback(request, response) {
 app.get('/', requestCallback);
 
 app.get('/simple-text', (req, res) => {
-  console.log('this is some text');
   res
     .status(200)
     .set({ 'Content-Type': 'text/plain' })
@@ -21,17 +89,52 @@ app.get('/simple-text', (req, res) => {
 });
 
 app.get('/html-version', (req, res) => {
-  res
-    .status(200)
-    .set({ 'Content-Type': 'text/html' })
-    .send('<h1>this is some html</h1>');
+  res.status(200).render('pages/html-version');
+});
+
+app.get(
+  '/concerts',
+  validate({ query: concertListQuerySchema }, { check: checkListQuery }),
+  (req, res) => {
+    const { data, pagination } = concerts.query(req.valid.query);
+    res.status(200).render('pages/concerts', {
+      concerts: data,
+      filters: req.valid.query,
+      pagination,
+    });
+  },
+);
+
+app.get('/concerts/:id', (req, res) => {
+  const concert = concerts.get(req.params.id);
+  if (!concert) throw new NotFoundError('We could not find that concert.');
+  res.status(200).render('pages/concert-detail', { concert });
 });
 
-app.get('/concerts', (req, res) => {
-  console.log(process.cwd());
-  // const filePath = `${process.cwd()}/src/public/concerts.html`;
-  const filePath = join(process.cwd(), 'src', 'public', 'concerts.html');
-  res.status(200).sendFile(filePath);
+app.use('/api/concerts', createConcertsRouter(concerts));
+// Node demo runs streamed to async-demo.html as Server-Sent Events
+app.use('/api/demos', createDemosRouter(demoRunner));
+// Snippets from the async-demo.html playground, run in a sandboxed child process
+app.use('/api/playground', createPlaygroundRouter(playground));
+
+app.use(notFoundHandler);
+app.use(errorHandler);
+
+const server = app.listen(config.port, config.host || undefined, () => {
+  const { port } = server.address();
+  console.log(`Express app (${config.env}) listening on port ${port}`);
+  health.markReady();
 });
 
-app.listen(3000);
+registerGracefulShutdown(server, {
+  name: 'Express app',
+  health,
+  timeoutMs: config.shutdownTimeoutMs,
+  // Ending a demo's event stream also kills its run
+  interrupt: [
+    () => closeEventStreams(),
+    () => demoRunner.stop(),
+    () => playground.stop(),
+  ],
+  cleanup: [() => accessLog?.flush(), () => concertsStore.flush()],
+});
@@ -0,0 +1,71 @@
+import { randomUUID } from 'node:crypto';
+
+// The fields a client is allowed to set on a concert
+export const CONCERT_FIELDS = ['artist', 'date', 'time', 'venue'];
+
+/**
+ * Build a new concert record
+ * @param {object} fields - artist, date (YYYY-MM-DD), time (HH:MM, 24h) and venue
+ * @returns {object} Concert with a generated id and timestamps
+ */
+export function createConcert(fields) {
+  const now = new Date().toISOString();
+  return {
+    id: randomUUID(),
+    ...pickConcertFields(fields),
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+/**
+ * Apply a (partial) update to an existing concert
+ * @param {object} concert - The stored concert
+ * @param {object} changes - Any subset of CONCERT_FIELDS
+ * @returns {object} A new concert object, the original is left untouched
+ */
+export function updateConcert(concert, changes) {
+  return {
+    ...concert,
+    ...pickConcertFields(changes),
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+export function pickConcertFields(source = {}) {
+  const fields = {};
+  for (const key of CONCERT_FIELDS) {
+    if (source[key] !== undefined) {
+      fields[key] = String(source[key]).trim();
+    }
+  }
+  return fields;
+}
+
+const MONTHS = [
+  'January',
+  'February',
+  'March',
+  'April',
+  'May',
+  'June',
+  'July',
+  'August',
+  'September',
+  'October',
+  'November',
+  'December',
+];
+
+// "2024-03-15" -> "March 15, 2024"
+export function formatConcertDate(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  return `${MONTHS[month - 1]} ${day}, ${year}`;
+}
+
+// "20:15" -> "8:15 PM"
+export function formatConcertTime(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  const suffix = hours >= 12 ? 'PM' : 'AM';
+  return `${hours % 12 || 12}:${String(minutes).padStart(2, '0')} ${suffix}`;
+}
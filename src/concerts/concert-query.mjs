@@ -0,0 +1,81 @@
+import { formatConcertDate } from './concert-model.mjs';
+
+export const SORT_OPTIONS = ['date', '-date', 'artist', '-artist'];
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+const COMPARATORS = {
+  date: (a, b) =>
+    `${a.date}T${a.time}`.localeCompare(`${b.date}T${b.time}`) ||
+    a.artist.localeCompare(b.artist),
+  artist: (a, b) =>
+    a.artist.localeCompare(b.artist, 'en', { sensitivity: 'base' }) ||
+    `${a.date}T${a.time}`.localeCompare(`${b.date}T${b.time}`),
+};
+
+function includesIgnoringCase(haystack, needle) {
+  return haystack.toLowerCase().includes(needle.toLowerCase());
+}
+
+// Every word of the search must appear in the artist, venue or date
+function matchesSearch(concert, search) {
+  const text = [
+    concert.artist,
+    concert.venue,
+    concert.date,
+    formatConcertDate(concert.date),
+  ]
+    .join(' ')
+    .toLowerCase();
+
+  return search
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean)
+    .every((word) => text.includes(word));
+}
+
+/**
+ * Filter, sort and paginate a list of concerts
+ * @param {object[]} concerts - All concerts
+ * @param {object} [options]
+ * @param {string} [options.q] - Full-text search over artist, venue and date
+ * @param {string} [options.artist] - Artist name contains (case-insensitive)
+ * @param {string} [options.venue] - Venue name contains (case-insensitive)
+ * @param {string} [options.from] - Earliest date, YYYY-MM-DD, inclusive
+ * @param {string} [options.to] - Latest date, YYYY-MM-DD, inclusive
+ * @param {string} [options.sort] - One of SORT_OPTIONS, '-' for descending
+ * @param {number} [options.limit] - Page size
+ * @param {number} [options.offset] - Number of matches to skip
+ * @returns {{ data: object[], pagination: { total: number, limit: number, offset: number } }}
+ */
+export function queryConcerts(concerts, options = {}) {
+  const {
+    q,
+    artist,
+    venue,
+    from,
+    to,
+    sort = 'date',
+    limit = DEFAULT_PAGE_SIZE,
+    offset = 0,
+  } = options;
+
+  const matches = concerts.filter(
+    (concert) =>
+      (!q || matchesSearch(concert, q)) &&
+      (!artist || includesIgnoringCase(concert.artist, artist)) &&
+      (!venue || includesIgnoringCase(concert.venue, venue)) &&
+      (!from || concert.date >= from) &&
+      (!to || concert.date <= to),
+  );
+
+  const descending = sort.startsWith('-');
+  const compare = COMPARATORS[descending ? sort.slice(1) : sort];
+  matches.sort((a, b) => (descending ? compare(b, a) : compare(a, b)));
+
+  return {
+    data: matches.slice(offset, offset + limit),
+    pagination: { total: matches.length, limit, offset },
+  };
+}
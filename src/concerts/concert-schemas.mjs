@@ -0,0 +1,69 @@
+import {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  SORT_OPTIONS,
+} from './concert-query.mjs';
+
+// Validation schemas for the concert endpoints (see src/http/validate.mjs)
+
+function checkCalendarDate(value) {
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return 'is not a real calendar date';
+  }
+}
+
+const dateRules = {
+  type: 'string',
+  pattern: /^\d{4}-\d{2}-\d{2}$/,
+  patternMessage: 'must be a date in YYYY-MM-DD format',
+  check: checkCalendarDate,
+};
+
+export const concertBodySchema = {
+  artist: { type: 'string', required: true, maxLength: 200 },
+  date: { ...dateRules, required: true },
+  time: {
+    type: 'string',
+    required: true,
+    pattern: /^([01]\d|2[0-3]):[0-5]\d$/,
+    patternMessage: 'must be a 24-hour time in HH:MM format',
+  },
+  venue: { type: 'string', required: true, maxLength: 200 },
+};
+
+export const concertParamsSchema = {
+  id: {
+    type: 'string',
+    required: true,
+    pattern: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+    patternMessage: 'must be a concert id (UUID)',
+  },
+};
+
+export const concertListQuerySchema = {
+  q: { type: 'string', maxLength: 200 },
+  artist: { type: 'string', maxLength: 200 },
+  venue: { type: 'string', maxLength: 200 },
+  from: dateRules,
+  to: dateRules,
+  sort: { type: 'string', enum: SORT_OPTIONS, default: 'date' },
+  limit: {
+    type: 'integer',
+    min: 1,
+    max: MAX_PAGE_SIZE,
+    default: DEFAULT_PAGE_SIZE,
+  },
+  offset: { type: 'integer', min: 0, default: 0 },
+};
+
+// Cross-field check for the listing: the date range must not be inverted
+export function checkListQuery({ query: { from, to } }) {
+  if (from && to && from > to) {
+    return [
+      { location: 'query', field: 'to', message: 'must not be before from' },
+    ];
+  }
+  return [];
+}
@@ -0,0 +1,92 @@
+import { NotFoundError } from '../http/errors.mjs';
+import { validate } from '../http/validate.mjs';
+import { sendEmpty, sendJson } from '../node-http/respond.mjs';
+import {
+  checkListQuery,
+  concertBodySchema,
+  concertListQuerySchema,
+  concertParamsSchema,
+} from './concert-schemas.mjs';
+
+const CONCERT_NOT_FOUND = 'Concert not found';
+
+/**
+ * The /api/concerts resource for the plain node:http server (app.mjs);
+ * mirrors createConcertsRouter() in concerts-router.mjs
+ * @param {import('../node-http/router.mjs').Router} router
+ * @param {import('./concerts-repository.mjs').ConcertsRepository} repository
+ * @param {string} [basePath]
+ */
+export function registerConcertApiRoutes(
+  router,
+  repository,
+  basePath = '/api/concerts',
+) {
+  router.get(
+    basePath,
+    validate({ query: concertListQuerySchema }, { check: checkListQuery }),
+    (req, res) => {
+      sendJson(res, 200, repository.query(req.valid.query));
+    },
+  );
+
+  router.get(
+    `${basePath}/:id`,
+    validate({ params: concertParamsSchema }),
+    (req, res) => {
+      const concert = repository.get(req.valid.params.id);
+      if (!concert) throw new NotFoundError(CONCERT_NOT_FOUND);
+      sendJson(res, 200, concert);
+    },
+  );
+
+  router.post(
+    basePath,
+    validate({ body: concertBodySchema }),
+    async (req, res) => {
+      const concert = await repository.create(req.valid.body);
+      res.setHeader('Location', `${basePath}/${concert.id}`);
+      sendJson(res, 201, concert);
+    },
+  );
+
+  router.put(
+    `${basePath}/:id`,
+    validate({ params: concertParamsSchema, body: concertBodySchema }),
+    async (req, res) => {
+      const concert = await repository.update(
+        req.valid.params.id,
+        req.valid.body,
+      );
+      if (!concert) throw new NotFoundError(CONCERT_NOT_FOUND);
+      sendJson(res, 200, concert);
+    },
+  );
+
+  router.patch(
+    `${basePath}/:id`,
+    validate(
+      { params: concertParamsSchema, body: concertBodySchema },
+      { partial: true },
+    ),
+    async (req, res) => {
+      const concert = await repository.update(
+        req.valid.params.id,
+        req.valid.body,
+      );
+      if (!concert) throw new NotFoundError(CONCERT_NOT_FOUND);
+      sendJson(res, 200, concert);
+    },
+  );
+
+  router.delete(
+    `${basePath}/:id`,
+    validate({ params: concertParamsSchema }),
+    async (req, res) => {
+      if (!(await repository.remove(req.valid.params.id))) {
+        throw new NotFoundError(CONCERT_NOT_FOUND);
+      }
+      sendEmpty(res, 204);
+    },
+  );
+}
@@ -0,0 +1,125 @@
+import { createConcert, updateConcert } from './concert-model.mjs';
+import { queryConcerts } from './concert-query.mjs';
+
+// The listings that used to be hard-coded in concerts.html
+const SAMPLE_CONCERTS = [
+  {
+    artist: 'The Weeknd',
+    date: '2024-03-15',
+    time: '20:00',
+    venue: 'Madison Square Garden',
+  },
+  {
+    artist: 'Taylor Swift',
+    date: '2024-04-05',
+    time: '19:30',
+    venue: 'Staples Center',
+  },
+  {
+    artist: 'Coldplay',
+    date: '2024-05-20',
+    time: '20:15',
+    venue: 'United Center',
+  },
+];
+
+function byDateAndTime(a, b) {
+  return `${a.date}T${a.time}`.localeCompare(`${b.date}T${b.time}`);
+}
+
+export class ConcertsRepository {
+  #concerts = new Map();
+  #changes = Promise.resolve();
+  #store;
+
+  /**
+   * @param {import('../storage/json-file-store.mjs').JsonFileStore} store
+   * @param {object[]} concerts - Already loaded concerts
+   */
+  constructor(store, concerts = []) {
+    this.#store = store;
+    for (const concert of concerts) {
+      this.#concerts.set(concert.id, concert);
+    }
+  }
+
+  /**
+   * Load concerts from the store, seeding it with the sample listings the
+   * first time the app runs
+   */
+  static async load(store) {
+    const saved = await store.load();
+    const repository = new ConcertsRepository(
+      store,
+      saved ?? SAMPLE_CONCERTS.map(createConcert),
+    );
+    if (!saved) await repository.#persist();
+    return repository;
+  }
+
+  list() {
+    return [...this.#concerts.values()].sort(byDateAndTime);
+  }
+
+  /**
+   * Search, filter, sort and paginate, see queryConcerts()
+   */
+  query(options) {
+    return queryConcerts(this.list(), options);
+  }
+
+  get(id) {
+    return this.#concerts.get(id) ?? null;
+  }
+
+  async create(fields) {
+    const concert = createConcert(fields);
+    await this.#commit((concerts) => {
+      concerts.set(concert.id, concert);
+    });
+    return concert;
+  }
+
+  async update(id, changes) {
+    let concert = null;
+    await this.#commit((concerts) => {
+      const existing = concerts.get(id);
+      if (!existing) return false;
+
+      concert = updateConcert(existing, changes);
+      concerts.set(id, concert);
+    });
+    return concert;
+  }
+
+  remove(id) {
+    return this.#commit((concerts) => concerts.delete(id));
+  }
+
+  /**
+   * Apply `change` to a copy of the concerts, save the copy and only then
+   * make it live, so a failed save leaves nothing behind. Changes run one
+   * at a time, each on top of the last one that was saved.
+   * @param {(concerts: Map<string, object>) => boolean|void} change - Edits
+   *   the copy; returning false means there is nothing to save
+   * @returns {Promise<boolean>} Whether anything was saved
+   */
+  #commit(change) {
+    const commit = this.#changes.then(async () => {
+      const next = new Map(this.#concerts);
+      if (change(next) === false) return false;
+
+      await this.#persist(next);
+      this.#concerts = next;
+      return true;
+    });
+
+    // A failed change must not stop the ones queued after it
+    this.#changes = commit.catch(() => {});
+    return commit;
+  }
+
+  #persist(concerts = this.#concerts) {
+    return this.#store.save([...concerts.values()].sort(byDateAndTime));
+  }
+}
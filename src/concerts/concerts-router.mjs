@@ -0,0 +1,81 @@
+import { Router } from 'express';
+import { NotFoundError } from '../http/errors.mjs';
+import { validate } from '../http/validate.mjs';
+import {
+  checkListQuery,
+  concertBodySchema,
+  concertListQuerySchema,
+  concertParamsSchema,
+} from './concert-schemas.mjs';
+
+const CONCERT_NOT_FOUND = 'Concert not found';
+
+/**
+ * REST resource for concerts, mounted at /api/concerts.
+ * Failures are passed on to the app's error handler.
+ * @param {import('./concerts-repository.mjs').ConcertsRepository} repository
+ */
+export function createConcertsRouter(repository) {
+  const router = Router();
+
+  router.get(
+    '/',
+    validate({ query: concertListQuerySchema }, { check: checkListQuery }),
+    (req, res) => {
+      res.status(200).json(repository.query(req.valid.query));
+    },
+  );
+
+  router.get('/:id', validate({ params: concertParamsSchema }), (req, res) => {
+    const concert = repository.get(req.valid.params.id);
+    if (!concert) throw new NotFoundError(CONCERT_NOT_FOUND);
+    res.status(200).json(concert);
+  });
+
+  router.post('/', validate({ body: concertBodySchema }), async (req, res) => {
+    const concert = await repository.create(req.valid.body);
+    res.status(201).location(`${req.baseUrl}/${concert.id}`).json(concert);
+  });
+
+  router.put(
+    '/:id',
+    validate({ params: concertParamsSchema, body: concertBodySchema }),
+    async (req, res) => {
+      const concert = await repository.update(
+        req.valid.params.id,
+        req.valid.body,
+      );
+      if (!concert) throw new NotFoundError(CONCERT_NOT_FOUND);
+      res.status(200).json(concert);
+    },
+  );
+
+  router.patch(
+    '/:id',
+    validate(
+      { params: concertParamsSchema, body: concertBodySchema },
+      { partial: true },
+    ),
+    async (req, res) => {
+      const concert = await repository.update(
+        req.valid.params.id,
+        req.valid.body,
+      );
+      if (!concert) throw new NotFoundError(CONCERT_NOT_FOUND);
+      res.status(200).json(concert);
+    },
+  );
+
+  router.delete(
+    '/:id',
+    validate({ params: concertParamsSchema }),
+    async (req, res) => {
+      if (!(await repository.remove(req.valid.params.id))) {
+        throw new NotFoundError(CONCERT_NOT_FOUND);
+      }
+      res.status(204).end();
+    },
+  );
+
+  return router;
+}
@@ -0,0 +1,299 @@
+import { existsSync, readFileSync } from 'node:fs';
+import { isAbsolute, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+/*
+ * Settings shared by app.mjs and src/app-express.mjs.
+ *
+ * Sources, later ones win:
+ *   1. DEFAULTS
+ *   2. the profile for the environment (NODE_ENV: development, test, production)
+ *   3. a JSON config file: CONFIG_FILE, or config.json in the project root
+ *   4. environment variables (see ENV_VARIABLES)
+ *
+ * Relative paths are resolved against the project root, never the cwd, so
+ * the apps work no matter which directory they are started from.
+ */
+
+export const PROJECT_ROOT = fileURLToPath(new URL('..', import.meta.url));
+
+const DEFAULTS = {
+  env: 'development',
+  port: 3000,
+  host: '',
+  publicDir: 'src/public',
+  viewsDir: 'src/views',
+  dataDir: 'data',
+  // How long shutdown waits for in-flight requests before closing them
+  shutdownTimeoutMs: 10_000,
+  accessLog: {
+    enabled: true,
+    file: 'requests.jsonl',
+    maxBytes: 5 * 1024 * 1024,
+    maxFiles: 5,
+  },
+  security: {
+    // Other origins (e.g. "https://example.com") whose pages may call /api/*;
+    // "*" allows any. Same-origin requests never need an entry.
+    corsOrigins: [],
+    // Strict-Transport-Security max-age in seconds; 0 leaves the header out
+    hstsMaxAge: 180 * 24 * 60 * 60,
+    // Requests each client IP may make to /api/* per window
+    rateLimit: { windowMs: 60_000, max: 120 },
+    // Largest JSON or form body the apps accept
+    bodyLimitBytes: 32 * 1024,
+  },
+};
+
+const PROFILES = {
+  development: {},
+  test: {
+    // Let the OS pick a free port and keep test data away from real data
+    port: 0,
+    dataDir: 'data/test',
+    shutdownTimeoutMs: 1000,
+    accessLog: { enabled: false },
+  },
+  production: {
+    host: '0.0.0.0',
+    accessLog: { maxBytes: 50 * 1024 * 1024, maxFiles: 10 },
+  },
+};
+
+// Environment variable -> [config key path, type]
+const ENV_VARIABLES = {
+  PORT: ['port', 'integer'],
+  HOST: ['host', 'string'],
+  PUBLIC_DIR: ['publicDir', 'string'],
+  VIEWS_DIR: ['viewsDir', 'string'],
+  DATA_DIR: ['dataDir', 'string'],
+  SHUTDOWN_TIMEOUT_MS: ['shutdownTimeoutMs', 'integer'],
+  ACCESS_LOG_ENABLED: ['accessLog.enabled', 'boolean'],
+  ACCESS_LOG_FILE: ['accessLog.file', 'string'],
+  ACCESS_LOG_MAX_BYTES: ['accessLog.maxBytes', 'integer'],
+  ACCESS_LOG_MAX_FILES: ['accessLog.maxFiles', 'integer'],
+  CORS_ORIGINS: ['security.corsOrigins', 'list'],
+  HSTS_MAX_AGE: ['security.hstsMaxAge', 'integer'],
+  RATE_LIMIT_WINDOW_MS: ['security.rateLimit.windowMs', 'integer'],
+  RATE_LIMIT_MAX: ['security.rateLimit.max', 'integer'],
+  BODY_LIMIT_BYTES: ['security.bodyLimitBytes', 'integer'],
+};
+
+const PATH_KEYS = ['publicDir', 'viewsDir', 'dataDir', 'accessLog.file'];
+// Settings that group others; a config file may only replace their members
+const SECTION_KEYS = ['accessLog', 'security', 'security.rateLimit'];
+
+export class ConfigError extends Error {
+  /**
+   * @param {string[]} problems - One message per invalid setting
+   */
+  constructor(problems) {
+    super(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function merge(target, source) {
+  const result = { ...target };
+  for (const [key, value] of Object.entries(source)) {
+    result[key] =
+      isPlainObject(value) && isPlainObject(result[key])
+        ? merge(result[key], value)
+        : value;
+  }
+  return result;
+}
+
+function getPath(object, path) {
+  return path.split('.').reduce((value, key) => value?.[key], object);
+}
+
+function setPath(object, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((value, key) => (value[key] ??= {}), object);
+  parent[last] = value;
+}
+
+function parseEnvValue(name, raw, type, problems) {
+  if (type === 'integer') {
+    if (!/^\d+$/.test(raw.trim())) {
+      problems.push(`${name} must be a whole number, got "${raw}"`);
+      return undefined;
+    }
+    return Number(raw);
+  }
+  if (type === 'boolean') {
+    if (!['true', 'false', '1', '0'].includes(raw)) {
+      problems.push(`${name} must be true or false, got "${raw}"`);
+      return undefined;
+    }
+    return raw === 'true' || raw === '1';
+  }
+  if (type === 'list') {
+    // Comma-separated, e.g. CORS_ORIGINS=https://a.example,https://b.example
+    return raw
+      .split(',')
+      .map((item) => item.trim())
+      .filter(Boolean);
+  }
+  return raw;
+}
+
+function readConfigFile(filePath, problems) {
+  try {
+    const contents = JSON.parse(readFileSync(filePath, 'utf8'));
+    if (!isPlainObject(contents)) {
+      problems.push(`${filePath} must contain a JSON object`);
+      return {};
+    }
+    // Leave an invalid section out, so the other checks see the defaults
+    for (const key of SECTION_KEYS) {
+      const value = getPath(contents, key);
+      if (value === undefined || isPlainObject(value)) continue;
+
+      problems.push(
+        `${key} in ${filePath} must be an object, got ${JSON.stringify(value)}`,
+      );
+      const keys = key.split('.');
+      const last = keys.pop();
+      const parent = keys.reduce((section, name) => section[name], contents);
+      delete parent[last];
+    }
+    return contents;
+  } catch (error) {
+    problems.push(`Could not read ${filePath}: ${error.message}`);
+    return {};
+  }
+}
+
+function checkConfig(config, problems) {
+  if (
+    !Number.isInteger(config.port) ||
+    config.port < 0 ||
+    config.port > 65535
+  ) {
+    problems.push(
+      `port must be an integer from 0 to 65535, got ${config.port}`,
+    );
+  }
+  if (typeof config.host !== 'string') {
+    problems.push('host must be a string');
+  }
+  if (
+    !Number.isInteger(config.shutdownTimeoutMs) ||
+    config.shutdownTimeoutMs < 0
+  ) {
+    problems.push('shutdownTimeoutMs must be a non-negative integer');
+  }
+  for (const key of PATH_KEYS) {
+    const value = getPath(config, key);
+    if (typeof value !== 'string' || value === '') {
+      problems.push(`${key} must be a non-empty path`);
+    }
+  }
+  if (typeof config.accessLog.enabled !== 'boolean') {
+    problems.push('accessLog.enabled must be true or false');
+  }
+  for (const key of ['maxBytes', 'maxFiles']) {
+    const value = config.accessLog[key];
+    if (!Number.isInteger(value) || value < 1) {
+      problems.push(`accessLog.${key} must be a positive integer`);
+    }
+  }
+  checkSecurity(config.security, problems);
+}
+
+function isOrigin(value) {
+  try {
+    return new URL(value).origin === value;
+  } catch {
+    return false;
+  }
+}
+
+function checkSecurity(security, problems) {
+  const { corsOrigins, hstsMaxAge, rateLimit, bodyLimitBytes } = security;
+  if (!Array.isArray(corsOrigins)) {
+    problems.push('security.corsOrigins must be an array of origins');
+  } else {
+    for (const origin of corsOrigins) {
+      if (origin !== '*' && !isOrigin(origin)) {
+        problems.push(
+          `security.corsOrigins entries must look like https://example.com (no path) or be "*", got "${origin}"`,
+        );
+      }
+    }
+  }
+  if (!Number.isInteger(hstsMaxAge) || hstsMaxAge < 0) {
+    problems.push('security.hstsMaxAge must be a non-negative integer');
+  }
+  for (const key of ['windowMs', 'max']) {
+    const value = rateLimit?.[key];
+    if (!Number.isInteger(value) || value < 1) {
+      problems.push(`security.rateLimit.${key} must be a positive integer`);
+    }
+  }
+  if (!Number.isInteger(bodyLimitBytes) || bodyLimitBytes < 1) {
+    problems.push('security.bodyLimitBytes must be a positive integer');
+  }
+}
+
+/**
+ * Build the configuration for the current environment
+ * @param {object} [env] - Environment variables, defaults to process.env
+ * @returns {object} Read-only config with absolute paths
+ * @throws {ConfigError} When any setting is invalid
+ */
+export function loadConfig(env = process.env) {
+  const problems = [];
+
+  const profileName = env.NODE_ENV || DEFAULTS.env;
+  if (!Object.hasOwn(PROFILES, profileName)) {
+    problems.push(
+      `NODE_ENV must be one of ${Object.keys(PROFILES).join(', ')}, got "${profileName}"`,
+    );
+  }
+
+  let config = merge(structuredClone(DEFAULTS), PROFILES[profileName] ?? {});
+  config.env = profileName;
+
+  const configFile = env.CONFIG_FILE
+    ? resolve(PROJECT_ROOT, env.CONFIG_FILE)
+    : resolve(PROJECT_ROOT, 'config.json');
+  if (env.CONFIG_FILE || existsSync(configFile)) {
+    config = merge(config, readConfigFile(configFile, problems));
+  }
+
+  for (const [name, [path, type]] of Object.entries(ENV_VARIABLES)) {
+    if (env[name] === undefined || env[name] === '') continue;
+
+    const value = parseEnvValue(name, env[name], type, problems);
+    if (value !== undefined) setPath(config, path, value);
+  }
+
+  checkConfig(config, problems);
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+
+  for (const key of PATH_KEYS) {
+    const value = getPath(config, key);
+    setPath(
+      config,
+      key,
+      isAbsolute(value) ? value : resolve(PROJECT_ROOT, value),
+    );
+  }
+
+  Object.freeze(config.accessLog);
+  Object.freeze(config.security.corsOrigins);
+  Object.freeze(config.security.rateLimit);
+  Object.freeze(config.security);
+  return Object.freeze(config);
+}
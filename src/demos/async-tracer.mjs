@@ -0,0 +1,165 @@
+import {
+  AsyncLocalStorage,
+  createHook,
+  executionAsyncId,
+} from 'node:async_hooks';
+import { performance } from 'node:perf_hooks';
+
+/*
+ * async_hooks-based tracer for the demos in src/demos/demo-library.mjs
+ *
+ * Records the life cycle (init, before, after, promiseResolve) of the async
+ * resources a demo creates, so the script can show which event-loop phase a
+ * callback really ran in, next to the OP_TYPES label its author picked.
+ *
+ * Only resources created inside tracer.run() are recorded. Everything else
+ * (the demo runner's own timers, stdout writes wrapped in tracer.untraced())
+ * stays out of the trace.
+ */
+
+// async_hooks resource type -> the queue or phase its callbacks run in
+export const RESOURCE_PHASES = {
+  TickObject: 'nextTick',
+  PROMISE: 'microtask',
+  Microtask: 'microtask',
+  Timeout: 'timers',
+  FSREQCALLBACK: 'poll',
+  TCPCONNECTWRAP: 'poll',
+  Immediate: 'check',
+};
+
+export class AsyncTracer {
+  constructor() {
+    this.context = new AsyncLocalStorage();
+    this.resources = new Map();
+    this.events = [];
+    this.startTime = performance.now();
+
+    // Hook callbacks must stay synchronous and must not create async
+    // resources themselves (no console.log here)
+    this.hook = createHook({
+      init: (asyncId, type, triggerAsyncId) => {
+        if (!RESOURCE_PHASES[type]) return;
+        const store = this.context.getStore();
+        if (!store) return;
+
+        this.resources.set(asyncId, {
+          asyncId,
+          type,
+          phase: RESOURCE_PHASES[type],
+          triggerAsyncId,
+          // The callback that was running when this resource was created
+          scheduledBy: executionAsyncId(),
+          resolvedIn: null,
+          label: store.label,
+          runs: 0,
+        });
+        this.#record('init', asyncId);
+      },
+      before: (asyncId) => {
+        const resource = this.resources.get(asyncId);
+        if (!resource) return;
+        resource.runs++;
+        this.#record('before', asyncId);
+      },
+      after: (asyncId) => {
+        if (this.resources.has(asyncId)) this.#record('after', asyncId);
+      },
+      promiseResolve: (asyncId) => {
+        const resource = this.resources.get(asyncId);
+        if (!resource) return;
+        resource.resolvedIn = executionAsyncId();
+        this.#record('promiseResolve', asyncId);
+      },
+    });
+  }
+
+  #record(kind, asyncId) {
+    this.events.push({
+      kind,
+      asyncId,
+      executionAsyncId: executionAsyncId(),
+      time: performance.now() - this.startTime,
+    });
+  }
+
+  enable() {
+    this.hook.enable();
+    return this;
+  }
+
+  disable() {
+    this.hook.disable();
+    return this;
+  }
+
+  /**
+   * Forget everything recorded so far (e.g. between demos)
+   */
+  reset() {
+    this.resources.clear();
+    this.events = [];
+    this.startTime = performance.now();
+  }
+
+  /**
+   * Run `fn` and trace every resource it creates, directly or indirectly
+   * @param {string|number} label - Stored on each resource, e.g. the demo id
+   * @param {Function} fn
+   */
+  run(label, fn) {
+    return this.context.run({ label }, fn);
+  }
+
+  /**
+   * Run `fn` without tracing the resources it creates (e.g. writing output)
+   * @param {Function} fn
+   */
+  untraced(fn) {
+    return this.context.exit(fn);
+  }
+
+  /**
+   * Add a marker event, e.g. a log() call, tied to the running callback
+   * @param {object} data - Stored on the event as-is
+   */
+  mark(data) {
+    this.#record('mark', executionAsyncId());
+    this.events[this.events.length - 1].data = data;
+  }
+
+  /**
+   * The traced resource whose callback is running right now, or null for
+   * code that runs outside any traced callback (the demo's synchronous part)
+   */
+  current() {
+    return this.resources.get(executionAsyncId()) ?? null;
+  }
+
+  /**
+   * What made a resource's callback run: for timers, ticks, immediates and
+   * I/O the callback that scheduled them; for promises the non-promise
+   * callback that (possibly through a chain of promises) resolved them.
+   * Null when that was the demo's synchronous code or outside the trace.
+   */
+  cause(resource) {
+    if (resource.type !== 'PROMISE') {
+      return this.resources.get(resource.scheduledBy) ?? null;
+    }
+
+    let promise = resource;
+    for (let depth = 0; depth < 100; depth++) {
+      // A promise resolved by its own then-callback's return value, or never
+      // explicitly resolved, was settled by the promise it chains from
+      const nextId =
+        promise.resolvedIn !== null && promise.resolvedIn !== promise.asyncId
+          ? promise.resolvedIn
+          : promise.triggerAsyncId;
+      const next = this.resources.get(nextId);
+      if (!next) return null;
+      if (next.type !== 'PROMISE') return next;
+      promise = next;
+    }
+    return null;
+  }
+}
@@ -0,0 +1,162 @@
+import { setTimeout as timersSleep } from 'node:timers/promises';
+
+/*
+ * Small async utilities: a concurrency limit, retries with backoff and
+ * timeouts that actually cancel the work, all built on AbortSignal
+ *
+ * Used by the async pattern demos in src/demos/pattern-demos.mjs, but nothing
+ * here depends on the demos.
+ */
+
+/**
+ * Promise-based delay that stops early (rejecting with an AbortError) when
+ * `signal` aborts, and clears its timer when it does
+ * @param {number} ms
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<void>}
+ */
+export function sleep(ms, { signal } = {}) {
+  return timersSleep(ms, undefined, { signal });
+}
+
+/**
+ * Limit how many async tasks run at the same time
+ * @param {number} limit - Maximum number of tasks in flight
+ * @returns {(task: () => Promise<any>) => Promise<any>} Queues `task` and
+ *   resolves or rejects with its result once it got a slot and finished
+ * @example
+ * const run = limitConcurrency(2);
+ * await Promise.all(ids.map((id) => run(() => fetchUser(id))));
+ */
+export function limitConcurrency(limit) {
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new RangeError(`limit must be a positive integer, got ${limit}`);
+  }
+
+  const queue = [];
+  let active = 0;
+
+  function next() {
+    if (active >= limit || queue.length === 0) return;
+    const { task, resolve, reject } = queue.shift();
+    active++;
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  }
+
+  return (task) =>
+    new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+      next();
+    });
+}
+
+/**
+ * Map `items` through an async `fn` with at most `limit` calls in flight,
+ * keeping the results in input order
+ * @param {Array} items
+ * @param {number} limit
+ * @param {(item: any, index: number) => Promise<any>} fn
+ * @returns {Promise<Array>}
+ */
+export function mapConcurrent(items, limit, fn) {
+  const run = limitConcurrency(limit);
+  return Promise.all(items.map((item, index) => run(() => fn(item, index))));
+}
+
+/**
+ * Delay before retry number `attempt` (1-based): exponential backoff capped
+ * at `maxDelayMs`, with "full jitter" (a random delay between 0 and that)
+ * so that many clients retrying together do not hit the server in sync
+ * @param {number} attempt
+ * @param {object} options
+ * @param {number} options.baseDelayMs
+ * @param {number} options.maxDelayMs
+ * @param {boolean} options.jitter
+ * @param {() => number} [options.random]
+ * @returns {number} Milliseconds
+ */
+export function backoffDelay(
+  attempt,
+  { baseDelayMs, maxDelayMs, jitter, random = Math.random },
+) {
+  const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return jitter ? Math.round(random() * delay) : delay;
+}
+
+/**
+ * Call `fn` until it succeeds, waiting longer after each failure
+ * @param {(attempt: number, signal?: AbortSignal) => Promise<any>} fn
+ * @param {object} [options]
+ * @param {number} [options.retries=3] - Retries after the first attempt
+ * @param {number} [options.baseDelayMs=100]
+ * @param {number} [options.maxDelayMs=2000]
+ * @param {boolean} [options.jitter=true]
+ * @param {AbortSignal} [options.signal] - Stops retrying (and waiting)
+ * @param {(error: Error) => boolean} [options.shouldRetry] - Return false
+ *   for errors that retrying cannot fix
+ * @param {(info: {attempt: number, error: Error, delayMs: number}) => void} [options.onRetry]
+ * @returns {Promise<any>} The first successful result; rejects with the last
+ *   error once the retries are used up
+ */
+export async function retry(
+  fn,
+  {
+    retries = 3,
+    baseDelayMs = 100,
+    maxDelayMs = 2000,
+    jitter = true,
+    signal,
+    shouldRetry = () => true,
+    onRetry,
+  } = {},
+) {
+  for (let attempt = 1; ; attempt++) {
+    signal?.throwIfAborted();
+    try {
+      return await fn(attempt, signal);
+    } catch (error) {
+      if (attempt > retries || signal?.aborted || !shouldRetry(error)) {
+        throw error;
+      }
+      const delayMs = backoffDelay(attempt, {
+        baseDelayMs,
+        maxDelayMs,
+        jitter,
+      });
+      onRetry?.({ attempt, error, delayMs });
+      await sleep(delayMs, { signal });
+    }
+  }
+}
+
+/**
+ * Run `fn` with an AbortSignal that aborts after `ms`. Unlike racing
+ * against a timer, the work itself is told to stop, so nothing keeps
+ * running (or resolving) after the timeout.
+ * @param {(signal: AbortSignal) => Promise<any>} fn - Must pass the signal
+ *   on to whatever it waits for
+ * @param {number} ms
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - An outer signal that also aborts
+ * @returns {Promise<any>} Rejects with a TimeoutError after `ms`
+ */
+export async function withTimeout(fn, ms, { signal } = {}) {
+  const timeout = AbortSignal.timeout(ms);
+  const combined = signal ? AbortSignal.any([signal, timeout]) : timeout;
+
+  try {
+    return await fn(combined);
+  } catch (error) {
+    // Report the reason (TimeoutError or the outer reason) rather than the
+    // generic AbortError the cancelled operation threw
+    if (combined.aborted) throw combined.reason;
+    throw error;
+  }
+}
@@ -0,0 +1,152 @@
+/*
+ * Causality graphs for demo runs traced with async-tracer.mjs
+ *
+ * One node per callback that called log(), plus a "main" node for the demo's
+ * synchronous code. An edge A -> B means callback A scheduled callback B
+ * (directly or through promises that never logged anything), labelled with
+ * the API that did the scheduling.
+ */
+
+// Fill colors per OP_TYPES key, close to the terminal badge colors
+export const TYPE_COLORS = {
+  SYNC: '#c8e6c9',
+  MICROTASK: '#e1bee7',
+  NEXTTICK: '#bbdefb',
+  TIMER: '#ffcdd2',
+  IMMEDIATE: '#fff9c4',
+  IO: '#b2ebf2',
+};
+
+// async_hooks resource type -> the API a student would recognise
+const SCHEDULED_VIA = {
+  TickObject: 'nextTick',
+  PROMISE: 'promise',
+  Microtask: 'queueMicrotask',
+  Timeout: 'setTimeout',
+  FSREQCALLBACK: 'fs callback',
+  TCPCONNECTWRAP: 'net.connect',
+  Immediate: 'setImmediate',
+};
+
+/**
+ * Build the graph for one demo from the tracer's resources and the mark
+ * events log() left behind
+ * @param {import('./async-tracer.mjs').AsyncTracer} tracer
+ * @param {number|string} demoId - Only marks and resources of this demo
+ * @returns {{nodes: object[], edges: object[]}}
+ */
+export function buildCausalityGraph(tracer, demoId) {
+  const nodes = new Map();
+  const nodeFor = (resource) => {
+    const id = resource ? `n${resource.asyncId}` : 'main';
+    if (!nodes.has(id)) {
+      nodes.set(id, {
+        id,
+        resource,
+        type: resource ? null : 'SYNC',
+        phase: resource ? resource.phase : 'sync',
+        messages: [],
+      });
+    }
+    return nodes.get(id);
+  };
+
+  for (const event of tracer.events) {
+    if (event.kind !== 'mark' || event.data.demo !== demoId) continue;
+    const node = nodeFor(tracer.resources.get(event.executionAsyncId));
+    // The first label used inside a callback decides its color
+    node.type ??= event.data.type;
+    node.messages.push({ seq: event.data.seq, message: event.data.message });
+  }
+  nodeFor(null);
+
+  const edges = [];
+  for (const node of nodes.values()) {
+    if (!node.resource) continue;
+    // Skip over resources that scheduled something but never logged; the
+    // edge label lists them, e.g. "setTimeout → promise" for an awaited timer
+    const via = [node.resource];
+    let cause = tracer.cause(node.resource);
+    while (cause && !nodes.has(`n${cause.asyncId}`)) {
+      via.unshift(cause);
+      cause = tracer.cause(cause);
+    }
+    edges.push({
+      from: cause ? `n${cause.asyncId}` : 'main',
+      to: node.id,
+      via: via
+        .map((resource) => SCHEDULED_VIA[resource.type] ?? resource.type)
+        .join(' → '),
+    });
+  }
+
+  const firstSeq = (node) => node.messages[0]?.seq ?? 0;
+  return {
+    nodes: [...nodes.values()].sort((a, b) => firstSeq(a) - firstSeq(b)),
+    edges,
+  };
+}
+
+function nodeLines(node) {
+  const heading = node.resource
+    ? `${node.resource.type} #${node.resource.asyncId} (${node.phase})`
+    : 'main (sync)';
+  return [heading, ...node.messages.map(({ message }) => message.trim())];
+}
+
+/**
+ * Render a graph as Graphviz DOT
+ * @param {{nodes: object[], edges: object[]}} graph
+ * @param {string} title
+ */
+export function toDot(graph, title) {
+  const quote = (text) => `"${text.replace(/["\\]/g, '\\$&')}"`;
+  const lines = [
+    `digraph ${quote(title)} {`,
+    `  label=${quote(title)};`,
+    '  labelloc=t;',
+    '  rankdir=TB;',
+    '  node [shape=box, style="rounded,filled", fontname="Helvetica"];',
+    '  edge [fontname="Helvetica", fontsize=10];',
+  ];
+  for (const node of graph.nodes) {
+    const label = nodeLines(node)
+      .map((line) => line.replace(/["\\]/g, '\\$&'))
+      .join('\\l');
+    lines.push(
+      `  ${node.id} [label="${label}\\l", fillcolor="${TYPE_COLORS[node.type]}"];`,
+    );
+  }
+  for (const edge of graph.edges) {
+    lines.push(`  ${edge.from} -> ${edge.to} [label=${quote(edge.via)}];`);
+  }
+  lines.push('}');
+  return lines.join('\n');
+}
+
+/**
+ * Render a graph as a Mermaid flowchart, e.g. for a ```mermaid block in the
+ * Markdown guides
+ * @param {{nodes: object[], edges: object[]}} graph
+ * @param {string} title
+ */
+export function toMermaid(graph, title) {
+  // Mermaid has no backslash escapes; it takes HTML entity codes instead
+  const escape = (text) =>
+    text.replace(/"/g, '#quot;').replace(/</g, '#lt;').replace(/>/g, '#gt;');
+  const lines = ['---', `title: "${escape(title)}"`, '---', 'flowchart TD'];
+  for (const node of graph.nodes) {
+    lines.push(
+      `  ${node.id}["${nodeLines(node).map(escape).join('<br/>')}"]:::${node.type}`,
+    );
+  }
+  for (const edge of graph.edges) {
+    lines.push(`  ${edge.from} -->|${escape(edge.via)}| ${edge.to}`);
+  }
+  for (const [type, color] of Object.entries(TYPE_COLORS)) {
+    lines.push(`  classDef ${type} fill:${color},stroke:#555`);
+  }
+  return lines.join('\n');
+}
+
+export const GRAPH_FORMATS = { dot: toDot, mermaid: toMermaid };
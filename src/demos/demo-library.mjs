@@ -0,0 +1,153 @@
+import { SCENARIOS, formatExpected } from '../public/js/demo-scenarios.mjs';
+import { DemoResources, DemoRun, compareOrder } from './demo-run.mjs';
+import { EVENT_LOOP_DEMOS } from './event-loop-demos.mjs';
+import { OP_TYPES } from './op-types.mjs';
+import { PATTERN_DEMOS } from './pattern-demos.mjs';
+import { PERFORMANCE_DEMOS } from './performance-demos.mjs';
+import { ConsoleReporter } from './reporters.mjs';
+import { STREAM_DEMOS } from './stream-demos.mjs';
+
+/*
+ * The event loop demos as a library. async-execution-demo.mjs is its
+ * command line; tests and the servers can import it as well:
+ *
+ *   import { MemoryReporter, runDemo } from './src/demos/demo-library.mjs';
+ *
+ *   const reporter = new MemoryReporter();
+ *   const { verification } = await runDemo('nexttick-priority', { reporter });
+ *
+ * Importing has no side effects, and nothing is shared between runs.
+ */
+
+export { DemoRun, compareOrder } from './demo-run.mjs';
+export { OP_TYPES } from './op-types.mjs';
+export {
+  ANSI_COLORS,
+  ConsoleReporter,
+  JsonReporter,
+  MemoryReporter,
+  NO_COLORS,
+  combineReporters,
+  detectColor,
+} from './reporters.mjs';
+
+/**
+ * A demo entry that runs one of the shared scenarios, which
+ * async-demo.html and DEMO-SCENARIOS.md render as well
+ * @param {object} scenario - From SCENARIOS
+ */
+function scenarioDemo(scenario) {
+  return {
+    id: scenario.id,
+    name: scenario.name,
+    title: scenario.title,
+    expected: scenario.expected,
+    run({ log, print, separator, wait, colors }) {
+      separator(`DEMO ${scenario.id}: ${scenario.heading}`);
+
+      const done = scenario.run({
+        log: (message, type, details) => log(message, OP_TYPES[type], details),
+        wait,
+      });
+
+      print(
+        `\n${colors.yellow}Expected order: ${formatExpected(scenario.expected)}${colors.reset}`,
+      );
+      print(`${colors.dim}${scenario.explanation}${colors.reset}\n`);
+      return done;
+    },
+  };
+}
+
+// Each entry is { id, name, title, run(context), expected }. `expected` is
+// the order the log() messages must appear in when the demo runs on its
+// own; anyOrder(...) marks a run of messages whose relative order the event
+// loop does not guarantee.
+const DEMOS = Object.freeze(
+  [
+    ...SCENARIOS.map(scenarioDemo),
+    ...EVENT_LOOP_DEMOS,
+    ...PATTERN_DEMOS,
+    ...PERFORMANCE_DEMOS,
+    ...STREAM_DEMOS,
+  ]
+    .sort((a, b) => a.id - b.id)
+    .map((demo) => Object.freeze(demo)),
+);
+
+/**
+ * @returns {{id: number, name: string, title: string}[]}
+ */
+export function listDemos() {
+  return DEMOS.map(({ id, name, title }) => ({ id, name, title }));
+}
+
+/**
+ * @param {number|string} idOrName - A demo number or name, as on the
+ *   command line
+ * @returns {object|undefined} The demo entry
+ */
+export function findDemo(idOrName) {
+  const key = String(idOrName).toLowerCase();
+  return DEMOS.find((demo) => String(demo.id) === key || demo.name === key);
+}
+
+/**
+ * Run one demo on its own and wait until everything it scheduled has run.
+ * Only the demo's own timers, I/O and other resources count (see
+ * DemoResources), so this also works in a process that has a server
+ * running. A demo that blocks the event loop blocks that server too, which
+ * is why the servers still run demos in child processes (demo-runner.mjs).
+ * @param {number|string} idOrName
+ * @param {object} [options]
+ * @param {object} [options.reporter] - Defaults to a ConsoleReporter
+ * @param {import('./async-tracer.mjs').AsyncTracer} [options.tracer]
+ *   Reset, then used to add the observed phase to each event
+ * @param {import('./lag-monitor.mjs').LagMonitor} [options.lagMonitor]
+ *   Measures the event loop delay during the run
+ * @returns {Promise<{id: number, name: string, title: string, order: string[], verification: ReturnType<typeof compareOrder>, lag: object|null}>}
+ *   `order` holds the log() messages as they ran, `verification` compares
+ *   them with the expected order, `lag` is the lag monitor's report
+ * @throws {Error} For an unknown demo, or when the demo throws
+ */
+export async function runDemo(
+  idOrName,
+  { reporter = new ConsoleReporter(), tracer = null, lagMonitor = null } = {},
+) {
+  const demo = findDemo(idOrName);
+  if (!demo) {
+    throw new Error(`Unknown demo "${idOrName}"`);
+  }
+  const run = new DemoRun(demo, { reporter, tracer, lagMonitor });
+  const resources = new DemoResources();
+
+  tracer?.reset();
+  await lagMonitor?.start();
+  // Start from a timer callback of its own, like the CLI's classic schedule
+  // starts demos 2, 3 and 5, so leftovers of the caller's async code cannot
+  // change the order
+  try {
+    await resources.run(
+      () =>
+        new Promise((resolve, reject) => {
+          setTimeout(
+            () => Promise.resolve(run.start()).then(resolve, reject),
+            0,
+          );
+        }),
+    );
+  } finally {
+    // Even a demo that threw may have callbacks left to run
+    await resources.idle();
+  }
+
+  const { id, name, title, expected } = demo;
+  return {
+    id,
+    name,
+    title,
+    order: run.order,
+    verification: compareOrder(expected, run.order),
+    lag: lagMonitor ? lagMonitor.stop() : null,
+  };
+}
@@ -0,0 +1,294 @@
+import { AsyncLocalStorage, createHook } from 'node:async_hooks';
+import { format } from 'node:util';
+import { OP_TYPES, TRACED_PHASES } from './op-types.mjs';
+
+/**
+ * One run of one demo: its log() numbering, its clock and the order its
+ * messages came in. Runs share nothing, so demos that overlap in time (the
+ * CLI's classic schedule) each count from 1.
+ *
+ * A demo's run() gets { log, print, separator, wait, colors }, which send
+ * everything to the run's reporter (see reporters.mjs).
+ */
+export class DemoRun {
+  #demo;
+  #reporter;
+  #tracer;
+  #lagMonitor;
+  #seq = 0;
+  #startTime = performance.now();
+  #order = [];
+
+  /**
+   * @param {object} demo - A demo entry, see demo-library.mjs
+   * @param {object} options
+   * @param {object} options.reporter
+   * @param {import('./async-tracer.mjs').AsyncTracer} [options.tracer]
+   *   Adds the phase each log() call really ran in to its event
+   * @param {import('./lag-monitor.mjs').LagMonitor} [options.lagMonitor]
+   *   Gets each message, to name the callbacks that blocked the loop
+   */
+  constructor(demo, { reporter, tracer = null, lagMonitor = null }) {
+    this.#demo = demo;
+    this.#reporter = reporter;
+    this.#tracer = tracer;
+    this.#lagMonitor = lagMonitor;
+  }
+
+  /** Messages passed to log() so far, in the order they ran */
+  get order() {
+    return [...this.#order];
+  }
+
+  /**
+   * Call the demo's run(). With a tracer, everything the demo schedules is
+   * traced under its id.
+   * @returns {Promise<void>|void} Whatever run() returns; the callbacks the
+   *   demo scheduled may still be pending when it settles
+   */
+  start() {
+    this.#startTime = performance.now();
+    const context = {
+      log: (message, opType, details) => this.#log(message, opType, details),
+      print: (...args) => this.#print(...args),
+      separator: (title) => this.#separator(title),
+      wait: (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+      colors: this.#reporter.colors,
+    };
+    const run = () => this.#demo.run(context);
+    return this.#tracer ? this.#tracer.run(this.#demo.id, run) : run();
+  }
+
+  /**
+   * Log with an operation type badge
+   * @param {string} message - Log message
+   * @param {object} opType - Operation type from OP_TYPES
+   * @param {string} details - Additional details about the operation
+   */
+  #log(message, opType = OP_TYPES.SYNC, details = '') {
+    this.#seq++;
+    this.#order.push(message);
+    this.#lagMonitor?.note(message);
+    const observed = this.#tracer
+      ? this.#observePhase(opType, message)
+      : undefined;
+
+    const event = {
+      demo: this.#demo.id,
+      seq: this.#seq,
+      timestamp: new Date().toISOString(),
+      elapsedMs:
+        Math.round((performance.now() - this.#startTime) * 1000) / 1000,
+      type: opType.type,
+      badge: opType.badge.trim(),
+      priority: opType.priority,
+      phase: opType.phase,
+      message,
+      details,
+      observed,
+    };
+    this.#untraced(() => this.#reporter.event(event));
+  }
+
+  #print(...args) {
+    this.#untraced(() => this.#reporter.print(format(...args)));
+  }
+
+  #separator(title) {
+    const { bright, cyan, reset } = this.#reporter.colors;
+    this.#print(`\n${bright}${cyan}${'='.repeat(60)}`);
+    this.#print(`  ${title}`);
+    this.#print(`${'='.repeat(60)}${reset}\n`);
+  }
+
+  // Writing output creates async resources of its own
+  #untraced(write) {
+    if (this.#tracer) this.#tracer.untraced(write);
+    else write();
+  }
+
+  /**
+   * Where the tracer says the current log() call is running, compared with
+   * the phase its OP_TYPES label claims
+   */
+  #observePhase(opType, message) {
+    const tracer = this.#tracer;
+    const resource = tracer.current();
+    const cause = resource && tracer.cause(resource);
+    const phase = resource ? resource.phase : 'sync';
+    const observed = {
+      phase,
+      resource: resource && { type: resource.type, asyncId: resource.asyncId },
+      cause: cause && { type: cause.type, asyncId: cause.asyncId },
+      mismatch:
+        opType.type in TRACED_PHASES && TRACED_PHASES[opType.type] !== phase,
+    };
+
+    tracer.mark({
+      demo: this.#demo.id,
+      seq: this.#seq,
+      type: opType.type,
+      message,
+      observed,
+    });
+    return observed;
+  }
+}
+
+// Resources that are not work waiting to happen. A promise is settled by
+// whatever it waits for. The DNS resolver's channel and
+// monitorEventLoopDelay() histograms never keep the loop alive. A FileHandle
+// is only an open file, its reads and writes are requests of their own. A
+// zlib stream's thread-pool work is not visible to async_hooks (nor to
+// process.getActiveResourcesInfo()); demos await its callback instead.
+const NOT_PENDING = new Set([
+  'PROMISE',
+  'DNSCHANNEL',
+  'ELDHISTOGRAM',
+  'FILEHANDLE',
+  'ZLIB',
+]);
+
+function isPending({ type, resource, ran }) {
+  if (typeof resource.hasRef === 'function') return resource.hasRef();
+  // Crypto jobs (PBKDF2REQUEST, SCRYPTREQUEST, ...) only get a callback when
+  // they go to the thread pool; pbkdf2Sync() and the like run them on the spot
+  if (type.endsWith('REQUEST') && resource.ondone === undefined) return false;
+  return !ran;
+}
+
+/**
+ * The async resources one demo created, directly or from its callbacks,
+ * that can still run a callback. Only those count, so a demo can tell when
+ * it is done even in a process that has a server, timers and sockets of
+ * its own.
+ *
+ * Timers, immediates and handles (sockets, servers, workers) are pending
+ * while they keep the event loop alive: until they are destroyed, closed or
+ * unref()'d. Everything else (fs and crypto requests, connects, nextTicks)
+ * runs its callback once, so it is pending until then: its destroy hook
+ * may only come with garbage collection.
+ */
+export class DemoResources {
+  #context = new AsyncLocalStorage();
+  // asyncId -> { type, resource, ran }
+  #tracked = new Map();
+  #hook = createHook({
+    init: (asyncId, type, triggerAsyncId, resource) => {
+      if (NOT_PENDING.has(type) || !this.#context.getStore()) return;
+      this.#tracked.set(asyncId, { type, resource, ran: false });
+    },
+    before: (asyncId) => {
+      const tracked = this.#tracked.get(asyncId);
+      if (tracked) tracked.ran = true;
+    },
+    destroy: (asyncId) => {
+      this.#tracked.delete(asyncId);
+    },
+  });
+
+  /**
+   * Run `fn` and track every resource it creates, directly or indirectly
+   * @param {Function} fn
+   */
+  run(fn) {
+    // process.stdout and stderr open their pipe or TTY handle on first use,
+    // which must not happen inside the demo: the handle stays open for good
+    void process.stdout;
+    void process.stderr;
+    this.#hook.enable();
+    return this.#context.run(true, fn);
+  }
+
+  /**
+   * Resolves once no tracked resource is pending any more
+   * @param {number} [pollMs=5]
+   */
+  idle(pollMs = 5) {
+    return new Promise((resolve) => {
+      const check = () => {
+        if (this.#isIdle()) {
+          this.#hook.disable();
+          this.#tracked.clear();
+          resolve();
+        } else {
+          setTimeout(check, pollMs);
+        }
+      };
+      setTimeout(check, pollMs);
+    });
+  }
+
+  #isIdle() {
+    for (const tracked of this.#tracked.values()) {
+      if (isPending(tracked)) return false;
+    }
+    return true;
+  }
+}
+
+/**
+ * Compare the recorded log() messages with a demo's expected sequence
+ * @param {Array<string|{anyOrder: string[][]}>} expected
+ * @param {string[]} actual
+ * @returns {{ passed: boolean, lines: {ok: boolean, text: string}[] }}
+ *   Verdict plus a step-by-step diff
+ */
+export function compareOrder(expected, actual) {
+  const lines = [];
+  let passed = true;
+  let position = 0;
+
+  for (const step of expected) {
+    if (typeof step === 'string') {
+      const got = actual[position];
+      const ok = got === step;
+      passed &&= ok;
+      lines.push({
+        ok,
+        text: ok
+          ? `✓ ${position + 1}. ${step}`
+          : `✗ ${position + 1}. expected "${step}" but got ${got === undefined ? 'nothing' : `"${got}"`}`,
+      });
+      position++;
+      continue;
+    }
+
+    // anyOrder group: the next N messages must be an interleaving of its
+    // sub-sequences, each of which keeps its own order
+    const sequences = step.anyOrder.map((sequence) => [...sequence]);
+    const size = sequences.reduce(
+      (total, sequence) => total + sequence.length,
+      0,
+    );
+    const got = actual.slice(position, position + size);
+    const ok =
+      got.length === size &&
+      got.every((message) => {
+        const sequence = sequences.find(
+          (candidate) => candidate[0] === message,
+        );
+        return sequence ? Boolean(sequence.shift()) : false;
+      });
+    passed &&= ok;
+
+    const range = `${position + 1}-${position + size}`;
+    const described = step.anyOrder
+      .map((sequence) => sequence.join(' → '))
+      .join(' | ');
+    lines.push({
+      ok,
+      text: ok
+        ? `✓ ${range}. any order: ${got.join(' | ')}`
+        : `✗ ${range}. expected, in any order: ${described}\n        but got: ${got.join(' | ') || 'nothing'}`,
+    });
+    position += size;
+  }
+
+  for (const extra of actual.slice(position)) {
+    passed = false;
+    lines.push({ ok: false, text: `✗ ${++position}. unexpected "${extra}"` });
+  }
+
+  return { passed, lines };
+}
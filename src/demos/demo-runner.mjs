@@ -0,0 +1,126 @@
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import { join } from 'node:path';
+import { createInterface } from 'node:readline';
+import { PROJECT_ROOT } from '../config.mjs';
+import { findDemo, listDemos } from './demo-library.mjs';
+
+export const DEMO_SCRIPT = join(PROJECT_ROOT, 'async-execution-demo.mjs');
+
+// Keep the end of stderr for the error message when a run fails
+const STDERR_LIMIT = 2000;
+
+/**
+ * Runs demos from async-execution-demo.mjs in child processes, so a demo
+ * gets a fresh event loop and cannot block (or crash) the server.
+ * Events come from the script's --format ndjson output. The list of demos
+ * comes straight from the demo library.
+ */
+export class DemoRunner {
+  #script;
+  #maxRuns;
+  #timeoutMs;
+  #running = 0;
+  #stopping = new AbortController();
+
+  /**
+   * @param {object} [options]
+   * @param {string} [options.script] - Path of the demo script
+   * @param {number} [options.maxRuns=2] - Child processes allowed at once
+   * @param {number} [options.timeoutMs=60000] - Kill a run after this long
+   */
+  constructor({ script = DEMO_SCRIPT, maxRuns = 2, timeoutMs = 60_000 } = {}) {
+    this.#script = script;
+    this.#maxRuns = maxRuns;
+    this.#timeoutMs = timeoutMs;
+  }
+
+  /** True while every run slot is taken */
+  get busy() {
+    return this.#running >= this.#maxRuns;
+  }
+
+  /**
+   * Kill every running demo and refuse new runs, for a server that is
+   * shutting down
+   */
+  stop() {
+    this.#stopping.abort();
+  }
+
+  /**
+   * The available demos
+   * @returns {Promise<{id: number, name: string, title: string}[]>}
+   */
+  async list() {
+    return listDemos();
+  }
+
+  /**
+   * @param {string} idOrName - A demo number or name, as on the command line
+   * @returns {Promise<{id: number, name: string, title: string}|undefined>}
+   */
+  async find(idOrName) {
+    const demo = findDemo(idOrName);
+    return demo && { id: demo.id, name: demo.name, title: demo.title };
+  }
+
+  /**
+   * Run one demo and yield its trace events as they are logged. Each event
+   * includes the phase async_hooks saw it run in (`observed`).
+   * @param {{id: number}} demo
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Kills the child process
+   * @returns {AsyncGenerator<object>}
+   * @throws {Error} When the run times out or exits with an error
+   */
+  async *run(demo, { signal } = {}) {
+    const timeout = AbortSignal.timeout(this.#timeoutMs);
+    const child = spawn(
+      process.execPath,
+      [this.#script, String(demo.id), '--format', 'ndjson', '--trace-async'],
+      {
+        stdio: ['ignore', 'pipe', 'pipe'],
+        signal: AbortSignal.any(
+          [signal, timeout, this.#stopping.signal].filter(Boolean),
+        ),
+      },
+    );
+    this.#running++;
+
+    let stderr = '';
+    child.stderr.setEncoding('utf8').on('data', (chunk) => {
+      stderr = (stderr + chunk).slice(-STDERR_LIMIT);
+    });
+    // Rejects with an AbortError when the signal kills the child
+    const exited = once(child, 'close');
+    exited.catch(() => {});
+
+    try {
+      for await (const line of createInterface({ input: child.stdout })) {
+        if (line.trim()) yield JSON.parse(line);
+      }
+      const [code] = await exited;
+      if (code !== 0) {
+        throw new Error(
+          `Demo ${demo.id} exited with code ${code}${stderr && `: ${stderr.trim()}`}`,
+        );
+      }
+    } catch (error) {
+      if (this.#stopping.signal.aborted) {
+        throw new Error('The server is shutting down', { cause: error });
+      }
+      if (timeout.aborted) {
+        throw new Error(
+          `Demo ${demo.id} did not finish within ${this.#timeoutMs}ms`,
+          { cause: error },
+        );
+      }
+      throw error;
+    } finally {
+      this.#running--;
+      // The consumer may stop early; never leave the child behind
+      if (child.exitCode === null && child.signalCode === null) child.kill();
+    }
+  }
+}
@@ -0,0 +1,36 @@
+import { openEventStream } from '../http/sse.mjs';
+
+/**
+ * Stream one demo run to the client as Server-Sent Events:
+ *
+ *   event: start   { id, name, title }
+ *   event: log     one trace event per log() call in the demo
+ *   event: end     { events } once the demo finished
+ *   event: failed  { message } when the run crashed or timed out
+ *   event: shutdown  {} when the server shuts down (see closeEventStreams)
+ *
+ * Closing the connection kills the run.
+ * @param {import('./demo-runner.mjs').DemoRunner} runner
+ * @param {{id: number, name: string, title: string}} demo
+ * @param {import('node:http').IncomingMessage} req
+ * @param {import('node:http').ServerResponse} res
+ */
+export async function streamDemoRun(runner, demo, req, res) {
+  const stream = openEventStream(req, res);
+  stream.send('start', demo);
+
+  let events = 0;
+  try {
+    for await (const event of runner.run(demo, { signal: stream.signal })) {
+      events++;
+      stream.send('log', event);
+    }
+    stream.send('end', { events });
+  } catch (error) {
+    if (stream.signal.aborted) return;
+    console.error(error);
+    stream.send('failed', { message: error.message });
+  } finally {
+    stream.close();
+  }
+}
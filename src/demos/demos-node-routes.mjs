@@ -0,0 +1,32 @@
+import { HttpError, NotFoundError } from '../http/errors.mjs';
+import { sendJson } from '../node-http/respond.mjs';
+import { streamDemoRun } from './demo-stream.mjs';
+
+const DEMO_NOT_FOUND = 'Demo not found';
+
+/**
+ * The /api/demos routes for the plain node:http server (app.mjs);
+ * mirrors createDemosRouter() in demos-router.mjs
+ * @param {import('../node-http/router.mjs').Router} router
+ * @param {import('./demo-runner.mjs').DemoRunner} runner
+ * @param {string} [basePath]
+ */
+export function registerDemoRoutes(router, runner, basePath = '/api/demos') {
+  router.get(basePath, async (req, res) => {
+    sendJson(res, 200, { data: await runner.list() });
+  });
+
+  router.get(`${basePath}/:id/events`, async (req, res) => {
+    const demo = await runner.find(req.params.id);
+    if (!demo) throw new NotFoundError(DEMO_NOT_FOUND);
+    if (runner.busy) {
+      res.setHeader('Retry-After', '5');
+      throw new HttpError(
+        503,
+        'TOO_MANY_RUNS',
+        'Too many demos are running, try again shortly',
+      );
+    }
+    await streamDemoRun(runner, demo, req, res);
+  });
+}
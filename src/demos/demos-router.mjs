@@ -0,0 +1,34 @@
+import { Router } from 'express';
+import { HttpError, NotFoundError } from '../http/errors.mjs';
+import { streamDemoRun } from './demo-stream.mjs';
+
+const DEMO_NOT_FOUND = 'Demo not found';
+
+/**
+ * Lists the Node demos and streams their runs, mounted at /api/demos.
+ * async-demo.html shows the streamed output next to its browser demos.
+ * @param {import('./demo-runner.mjs').DemoRunner} runner
+ */
+export function createDemosRouter(runner) {
+  const router = Router();
+
+  router.get('/', async (req, res) => {
+    res.status(200).json({ data: await runner.list() });
+  });
+
+  router.get('/:id/events', async (req, res) => {
+    const demo = await runner.find(req.params.id);
+    if (!demo) throw new NotFoundError(DEMO_NOT_FOUND);
+    if (runner.busy) {
+      res.set('Retry-After', '5');
+      throw new HttpError(
+        503,
+        'TOO_MANY_RUNS',
+        'Too many demos are running, try again shortly',
+      );
+    }
+    await streamDemoRun(runner, demo, req, res);
+  });
+
+  return router;
+}
@@ -0,0 +1,471 @@
+import { readFile } from 'node:fs';
+import net from 'node:net';
+import { fileURLToPath } from 'node:url';
+import { anyOrder } from '../public/js/demo-scenarios.mjs';
+import { OP_TYPES } from './op-types.mjs';
+
+// Demos of the event loop phases themselves: I/O, close and pending
+// callbacks, timer drift, starvation and unhandled rejections
+
+// ============================================================================
+// DEMO 7: I/O Operations & File System
+// ============================================================================
+async function demo7_ioOperations({ log, print, separator, colors }) {
+  separator('DEMO 7: I/O Operations & Event Loop Phases');
+
+  log('Starting I/O demonstration', OP_TYPES.SYNC, 'Synchronous setup');
+
+  // File system operation (I/O)
+  readFile(fileURLToPath(import.meta.url), () => {
+    log('fs.readFile callback', OP_TYPES.IO, 'I/O callback from Poll phase');
+
+    process.nextTick(() => {
+      log(
+        'nextTick inside I/O callback',
+        OP_TYPES.NEXTTICK,
+        'Microtask after I/O',
+      );
+    });
+
+    setImmediate(() => {
+      log(
+        'setImmediate after I/O',
+        OP_TYPES.IMMEDIATE,
+        'Check phase - guaranteed after I/O',
+      );
+    });
+  });
+
+  setTimeout(() => {
+    log('setTimeout after I/O setup', OP_TYPES.TIMER, 'Timer phase');
+  }, 0);
+
+  setImmediate(() => {
+    log(
+      'setImmediate from main',
+      OP_TYPES.IMMEDIATE,
+      'May run before setTimeout',
+    );
+  });
+
+  process.nextTick(() => {
+    log(
+      'nextTick from main',
+      OP_TYPES.NEXTTICK,
+      'Runs before event loop phases',
+    );
+  });
+
+  log('I/O operations queued', OP_TYPES.SYNC, 'Main code complete');
+
+  print(
+    `\n${colors.dim}Note: I/O callbacks run in the Poll phase, between Timers and Check phases${colors.reset}\n`,
+  );
+}
+
+// ============================================================================
+// DEMO 9: Close Callbacks Phase - socket and server 'close' events
+// ============================================================================
+function demo9_closeCallbacks({ log, print, separator, colors }) {
+  separator('DEMO 9: Close Callbacks Phase - socket & server close events');
+
+  log(
+    'Starting close-callbacks demonstration',
+    OP_TYPES.SYNC,
+    'Opening a local TCP server',
+  );
+
+  const server = net.createServer((connection) => {
+    // The server side simply goes away once the client hangs up
+    connection.on('error', () => {});
+  });
+
+  server.listen(0, '127.0.0.1', () => {
+    const socket = net.connect(server.address().port, '127.0.0.1', () => {
+      log('Client connected', OP_TYPES.IO, 'Connect callback from Poll phase');
+
+      socket.on('close', () => {
+        log("socket 'close' event", OP_TYPES.CLOSE, 'Close callbacks phase');
+
+        server.close(() => {
+          log(
+            'server.close() callback',
+            OP_TYPES.CLOSE,
+            'Listening handle closed, no connections left',
+          );
+        });
+      });
+
+      setTimeout(() => {
+        log(
+          'setTimeout 0 after destroy',
+          OP_TYPES.TIMER,
+          'Next loop iteration',
+        );
+      }, 0);
+
+      setImmediate(() => {
+        log(
+          'setImmediate after destroy',
+          OP_TYPES.IMMEDIATE,
+          'Check phase comes right before close callbacks',
+        );
+      });
+
+      process.nextTick(() => {
+        log(
+          'nextTick after destroy',
+          OP_TYPES.NEXTTICK,
+          'Still before any loop phase',
+        );
+      });
+
+      socket.destroy();
+      log(
+        'socket.destroy() returned',
+        OP_TYPES.SYNC,
+        "'close' is never emitted synchronously",
+      );
+    });
+  });
+
+  print(
+    `\n${colors.dim}Note: handles closed with destroy()/close() report it in the Close callbacks phase, the last phase of each loop iteration${colors.reset}\n`,
+  );
+}
+
+// ============================================================================
+// DEMO 10: Pending Callbacks Phase - I/O errors deferred by libuv
+// ============================================================================
+function demo10_pendingCallbacks({ log, print, separator, colors }) {
+  separator('DEMO 10: Pending Callbacks Phase - Deferred I/O Errors');
+
+  log(
+    'Starting pending-callbacks demonstration',
+    OP_TYPES.SYNC,
+    'Looking for a port nobody listens on',
+  );
+
+  // Bind a free port and release it again, so connecting to it is refused
+  const probe = net.createServer();
+  probe.listen(0, '127.0.0.1', () => {
+    const { port } = probe.address();
+
+    probe.close(() => {
+      log('Port released', OP_TYPES.CLOSE, `Port ${port} is free again`);
+
+      const socket = net.connect(port, '127.0.0.1');
+
+      socket.on('error', (error) => {
+        log(
+          `connect() failed with ${error.code}`,
+          OP_TYPES.PENDING,
+          'Error queued by libuv as a pending callback',
+        );
+      });
+
+      socket.on('close', () => {
+        log("socket 'close' event", OP_TYPES.CLOSE, 'Close callbacks phase');
+      });
+
+      setImmediate(() => {
+        log('setImmediate', OP_TYPES.IMMEDIATE, 'Check phase');
+      });
+
+      log(
+        'net.connect() returned',
+        OP_TYPES.SYNC,
+        'The refusal is known already, but reported later',
+      );
+    });
+  });
+
+  print(
+    `\n${colors.dim}Note: libuv defers I/O errors it already knows about (like a refused local connection) to the Pending callbacks phase instead of calling back synchronously. Which loop iteration picks them up depends on the platform and libuv version.${colors.reset}\n`,
+  );
+}
+
+// ============================================================================
+// DEMO 11: setInterval Drift - intervals are a minimum, not a schedule
+// ============================================================================
+function demo11_intervalDrift({ log, print, separator, colors }) {
+  separator('DEMO 11: setInterval Drift');
+
+  const INTERVAL_MS = 20;
+  const TICKS = 5;
+  const BLOCK_MS = 35;
+
+  log(
+    `Starting a ${INTERVAL_MS}ms setInterval`,
+    OP_TYPES.SYNC,
+    `${TICKS} ticks, tick 2 blocks for ${BLOCK_MS}ms`,
+  );
+
+  const started = performance.now();
+  const formatMs = (ms) => `${ms >= 0 ? '+' : ''}${ms.toFixed(1)}ms`;
+  let tick = 0;
+
+  const interval = setInterval(() => {
+    tick++;
+    const actual = performance.now() - started;
+    const drift = actual - tick * INTERVAL_MS;
+    log(
+      `Interval tick ${tick}`,
+      OP_TYPES.TIMER,
+      `at ${actual.toFixed(1)}ms, ideal ${tick * INTERVAL_MS}ms, drift ${formatMs(drift)}`,
+    );
+
+    if (tick === 2) {
+      // Busy work longer than the interval itself
+      const blockUntil = performance.now() + BLOCK_MS;
+      while (performance.now() < blockUntil) {
+        // Nothing else can run meanwhile
+      }
+      log(
+        `Blocked the event loop for ${BLOCK_MS}ms`,
+        OP_TYPES.SYNC,
+        'The next tick cannot run on time',
+      );
+    }
+
+    if (tick === TICKS) {
+      clearInterval(interval);
+      log(
+        'Interval cleared',
+        OP_TYPES.SYNC,
+        `Total drift ${formatMs(drift)} after ${TICKS} ticks`,
+      );
+    }
+  }, INTERVAL_MS);
+
+  print(
+    `\n${colors.dim}Note: Node schedules each repeat from when the previous callback ran, so late ticks are never made up - the delay only adds up${colors.reset}\n`,
+  );
+}
+
+// ============================================================================
+// DEMO 12: Microtask Starvation - a queueMicrotask chain blocks the loop
+// ============================================================================
+function demo12_microtaskStarvation({ log, print, separator, colors }) {
+  separator('DEMO 12: queueMicrotask Starvation');
+
+  const CHAIN_LENGTH = 100000;
+
+  log(
+    'Scheduling setTimeout 0 and setImmediate',
+    OP_TYPES.SYNC,
+    'Both are ready almost immediately',
+  );
+
+  const started = performance.now();
+  const since = () => `${(performance.now() - started).toFixed(1)}ms`;
+
+  setTimeout(() => {
+    log(
+      'setTimeout 0 finally runs',
+      OP_TYPES.TIMER,
+      `${since()} after it was scheduled`,
+    );
+  }, 0);
+
+  setImmediate(() => {
+    log(
+      'setImmediate finally runs',
+      OP_TYPES.IMMEDIATE,
+      `${since()} after it was scheduled`,
+    );
+  });
+
+  // Every microtask queues the next one, so the queue never drains early
+  let count = 0;
+  function spin() {
+    count++;
+    if (count < CHAIN_LENGTH) {
+      queueMicrotask(spin);
+      return;
+    }
+    log(
+      `Microtask chain ended after ${CHAIN_LENGTH} microtasks`,
+      OP_TYPES.MICROTASK,
+      `${since()} without a single timer or I/O callback`,
+    );
+  }
+  queueMicrotask(spin);
+
+  log(
+    'Started a self-scheduling queueMicrotask chain',
+    OP_TYPES.SYNC,
+    'Each microtask queues the next one',
+  );
+
+  print(
+    `\n${colors.dim}Note: the loop only moves on once the microtask queue is empty - recursive microtasks (or nextTicks) starve timers and I/O. Use setImmediate to yield instead.${colors.reset}\n`,
+  );
+}
+
+// ============================================================================
+// DEMO 13: Unhandled Rejections - when Node notices a missing .catch()
+// ============================================================================
+function demo13_unhandledRejections({ log, print, separator, colors }) {
+  separator('DEMO 13: Unhandled Rejections & rejectionHandled');
+
+  // Without a listener Node would crash on the unhandled rejection
+  const onUnhandled = (reason) => {
+    log(
+      `'unhandledRejection': ${reason.message}`,
+      OP_TYPES.REJECTION,
+      'Checked after the nextTick and microtask queues drain',
+    );
+  };
+  const onHandled = () => {
+    log(
+      "'rejectionHandled': a late .catch() was attached",
+      OP_TYPES.REJECTION,
+      'Reported after the late handler ran',
+    );
+    process.off('unhandledRejection', onUnhandled);
+    process.off('rejectionHandled', onHandled);
+  };
+  process.on('unhandledRejection', onUnhandled);
+  process.on('rejectionHandled', onHandled);
+
+  log(
+    'Creating two rejected promises',
+    OP_TYPES.SYNC,
+    'Only one gets a .catch() right away',
+  );
+
+  const unhandled = Promise.reject(new Error('nobody is listening'));
+  Promise.reject(new Error('handled in time')).catch((error) => {
+    log(
+      `Caught in time: ${error.message}`,
+      OP_TYPES.MICROTASK,
+      'No unhandledRejection for this one',
+    );
+  });
+
+  process.nextTick(() => {
+    log('nextTick', OP_TYPES.NEXTTICK, 'Runs before the rejection check');
+  });
+
+  setImmediate(() => {
+    log('setImmediate', OP_TYPES.IMMEDIATE, 'The loop simply carries on');
+  });
+
+  setTimeout(() => {
+    log('Attaching .catch() 10ms too late', OP_TYPES.TIMER, 'Timers phase');
+    unhandled.catch((error) => {
+      log(
+        `Late .catch() runs: ${error.message}`,
+        OP_TYPES.MICROTASK,
+        'The handler still works',
+      );
+    });
+  }, 10);
+
+  log('Synchronous end', OP_TYPES.SYNC, 'Nothing has been reported yet');
+
+  print(
+    `\n${colors.dim}Note: since Node 15 an unhandled rejection with no 'unhandledRejection' listener ends the process (--unhandled-rejections=throw)${colors.reset}\n`,
+  );
+}
+
+export const EVENT_LOOP_DEMOS = [
+  {
+    id: 7,
+    name: 'io',
+    title: 'I/O Operations & Event Loop Phases',
+    run: demo7_ioOperations,
+    expected: [
+      'Starting I/O demonstration',
+      'I/O operations queued',
+      'nextTick from main',
+      // The file read may finish before or after the 0ms timer is due, but
+      // inside the I/O callback setImmediate always comes right after nextTick
+      anyOrder('setImmediate from main', 'setTimeout after I/O setup', [
+        'fs.readFile callback',
+        'nextTick inside I/O callback',
+        'setImmediate after I/O',
+      ]),
+    ],
+  },
+
+  {
+    id: 9,
+    name: 'close-callbacks',
+    title: 'Close Callbacks Phase - socket & server close events',
+    run: demo9_closeCallbacks,
+    expected: [
+      'Starting close-callbacks demonstration',
+      'Client connected',
+      'socket.destroy() returned',
+      'nextTick after destroy',
+      'setImmediate after destroy',
+      "socket 'close' event",
+      anyOrder('setTimeout 0 after destroy', 'server.close() callback'),
+    ],
+  },
+
+  {
+    id: 10,
+    name: 'pending-callbacks',
+    title: 'Pending Callbacks Phase - Deferred I/O Errors',
+    run: demo10_pendingCallbacks,
+    expected: [
+      'Starting pending-callbacks demonstration',
+      'Port released',
+      'net.connect() returned',
+      'connect() failed with ECONNREFUSED',
+      'setImmediate',
+      "socket 'close' event",
+    ],
+  },
+
+  {
+    id: 11,
+    name: 'interval-drift',
+    title: 'setInterval Drift',
+    run: demo11_intervalDrift,
+    expected: [
+      'Starting a 20ms setInterval',
+      'Interval tick 1',
+      'Interval tick 2',
+      'Blocked the event loop for 35ms',
+      'Interval tick 3',
+      'Interval tick 4',
+      'Interval tick 5',
+      'Interval cleared',
+    ],
+  },
+
+  {
+    id: 12,
+    name: 'microtask-starvation',
+    title: 'queueMicrotask Starvation',
+    run: demo12_microtaskStarvation,
+    expected: [
+      'Scheduling setTimeout 0 and setImmediate',
+      'Started a self-scheduling queueMicrotask chain',
+      'Microtask chain ended after 100000 microtasks',
+      anyOrder('setTimeout 0 finally runs', 'setImmediate finally runs'),
+    ],
+  },
+
+  {
+    id: 13,
+    name: 'unhandled-rejections',
+    title: 'Unhandled Rejections & rejectionHandled',
+    run: demo13_unhandledRejections,
+    expected: [
+      'Creating two rejected promises',
+      'Synchronous end',
+      'nextTick',
+      'Caught in time: handled in time',
+      "'unhandledRejection': nobody is listening",
+      'setImmediate',
+      'Attaching .catch() 10ms too late',
+      'Late .catch() runs: nobody is listening',
+      "'rejectionHandled': a late .catch() was attached",
+    ],
+  },
+];
@@ -0,0 +1,131 @@
+/*
+ * Swimlane timeline of a traced demo run (see async-tracer.mjs)
+ *
+ * Rows are event-loop lanes, columns are loop iterations, and every log()
+ * call is placed by its sequence number in the lane its callback ran in.
+ * The tracer only sees callbacks, not the loop itself, so iterations are
+ * inferred: a new one starts when a macrotask phase comes around again
+ * (check -> timers) or after the loop sat idle waiting for a timer.
+ */
+
+export const LANES = [
+  'sync',
+  'nextTick',
+  'microtask',
+  'timers',
+  'poll',
+  'check',
+  'close',
+];
+
+// Position of each macrotask phase within one loop iteration
+const PHASE_ORDER = { timers: 0, poll: 1, check: 2, close: 3 };
+
+// Longer than any gap between callbacks of one phase; the loop was idle
+const IDLE_GAP_MS = 1;
+
+/**
+ * @param {import('./async-tracer.mjs').AsyncTracer} tracer
+ * @param {number|string} demoId - Only place this demo's log() calls
+ * @returns {{label: string, cells: Object<string, number[]>}[]} Columns that
+ *   hold at least one log() call, in loop order
+ */
+export function buildTimeline(tracer, demoId) {
+  const columns = new Map();
+  let iteration = 0;
+  let lastRank = -1;
+  let lastTime = 0;
+
+  for (const event of tracer.events) {
+    if (event.kind === 'before') {
+      const rank = PHASE_ORDER[tracer.resources.get(event.asyncId)?.phase];
+      if (rank !== undefined) {
+        const idle = event.time - lastTime > IDLE_GAP_MS;
+        if (rank < lastRank || (rank === lastRank && idle) || lastRank === -1) {
+          iteration++;
+        }
+        lastRank = rank;
+      }
+    }
+    lastTime = event.time;
+
+    if (event.kind !== 'mark' || event.data.demo !== demoId) continue;
+    if (!columns.has(iteration)) {
+      columns.set(iteration, {
+        label: iteration === 0 ? 'main' : `#${iteration}`,
+        cells: {},
+      });
+    }
+    const { cells } = columns.get(iteration);
+    (cells[event.data.observed.phase] ??= []).push(event.data.seq);
+  }
+
+  return [...columns.values()];
+}
+
+/**
+ * Draw the timeline as text, wrapping into several blocks of columns when
+ * it is wider than `width`
+ * @param {ReturnType<typeof buildTimeline>} columns
+ * @param {object} options
+ * @param {Object<string, string>} options.laneColors - ANSI code per lane
+ * @param {{reset: string, dim: string}} options.colors
+ * @param {number} [options.width]
+ * @returns {string}
+ */
+export function renderTimeline(columns, { laneColors, colors, width = 80 }) {
+  const laneWidth = Math.max(...LANES.map((lane) => lane.length)) + 1;
+  const cellText = (column, lane) => (column.cells[lane] ?? []).join(',');
+  const columnWidths = columns.map(
+    (column) =>
+      Math.max(
+        column.label.length,
+        ...LANES.map((lane) => cellText(column, lane).length),
+      ) + 2,
+  );
+
+  // Split the columns into blocks that fit the width
+  const blocks = [];
+  let block = [];
+  let used = laneWidth;
+  columns.forEach((column, index) => {
+    if (block.length > 0 && used + columnWidths[index] + 1 > width) {
+      blocks.push(block);
+      block = [];
+      used = laneWidth;
+    }
+    block.push(index);
+    used += columnWidths[index] + 1;
+  });
+  if (block.length > 0) blocks.push(block);
+
+  const lines = [];
+  for (const indexes of blocks) {
+    const cell = (index, text) => ` ${text.padEnd(columnWidths[index] - 1)}`;
+    const rule = (left, middle, right) =>
+      `${' '.repeat(laneWidth)}${left}${indexes
+        .map((index) => '─'.repeat(columnWidths[index]))
+        .join(middle)}${right}`;
+
+    lines.push(
+      `${' '.repeat(laneWidth)} ${indexes
+        .map((index) => cell(index, columns[index].label))
+        .join(' ')}`,
+    );
+    lines.push(rule('┌', '┬', '┐'));
+    for (const lane of LANES) {
+      const color = laneColors[lane] ?? '';
+      const cells = indexes.map((index) => {
+        const text = cellText(columns[index], lane);
+        return text
+          ? `${color}${cell(index, text)}${colors.reset}`
+          : `${colors.dim}${cell(index, '·')}${colors.reset}`;
+      });
+      lines.push(
+        `${color}${lane.padEnd(laneWidth)}${colors.reset}│${cells.join('│')}│`,
+      );
+    }
+    lines.push(rule('└', '┴', '┘'));
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,115 @@
+import { createHook } from 'node:async_hooks';
+import { monitorEventLoopDelay } from 'node:perf_hooks';
+import { delayMs } from '../event-loop-delay.mjs';
+
+/*
+ * Event-loop lag measurement for async-execution-demo.mjs --lag
+ *
+ * monitorEventLoopDelay gives the p50/p99/max delay of the loop as a whole.
+ * An async_hooks before/after pair around every callback finds the ones
+ * that ran longer than a threshold, i.e. the ones that caused the lag.
+ */
+
+export const RESOLUTION_MS = 10;
+
+function summarize(histogram) {
+  return {
+    p50: delayMs(histogram.percentile(50), RESOLUTION_MS),
+    p99: delayMs(histogram.percentile(99), RESOLUTION_MS),
+    max: delayMs(histogram.max, RESOLUTION_MS),
+  };
+}
+
+export class LagMonitor {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.thresholdMs=10] - Callbacks that run longer
+   *   than this are reported as slow
+   */
+  constructor({ thresholdMs = 10 } = {}) {
+    this.thresholdMs = thresholdMs;
+    this.histogram = monitorEventLoopDelay({ resolution: RESOLUTION_MS });
+    this.types = new Map();
+    // Callbacks currently running; they can nest (e.g. a sync emit)
+    this.stack = [];
+    this.slowCallbacks = [];
+
+    // Hook callbacks must stay synchronous and must not create async
+    // resources themselves
+    this.hook = createHook({
+      init: (asyncId, type) => {
+        this.types.set(asyncId, type);
+      },
+      before: (asyncId) => {
+        this.stack.push({ asyncId, start: performance.now(), messages: [] });
+      },
+      after: (asyncId) => {
+        const frame = this.stack.pop();
+        if (!frame || frame.asyncId !== asyncId) return;
+        const durationMs = performance.now() - frame.start;
+        if (durationMs > this.thresholdMs) {
+          this.slowCallbacks.push({
+            asyncId,
+            type: this.types.get(asyncId) ?? 'unknown',
+            durationMs: Math.round(durationMs * 10) / 10,
+            messages: frame.messages,
+          });
+        }
+      },
+      destroy: (asyncId) => {
+        this.types.delete(asyncId);
+      },
+    });
+  }
+
+  /**
+   * Resolves once the histogram has taken its first samples; it measures
+   * the time between samples, so a stall before the first one would be lost
+   */
+  async start() {
+    this.histogram.reset();
+    this.slowCallbacks = [];
+    this.histogram.enable();
+    await new Promise((resolve) => setTimeout(resolve, RESOLUTION_MS * 2));
+    this.hook.enable();
+  }
+
+  /**
+   * @returns {{p50: number, p99: number, max: number, slowCallbacks: object[]}}
+   *   Delays in ms since start(), and the callbacks over the threshold
+   */
+  stop() {
+    this.hook.disable();
+    this.histogram.disable();
+    this.stack = [];
+    return { ...summarize(this.histogram), slowCallbacks: this.slowCallbacks };
+  }
+
+  /**
+   * Remember a log() message, so a slow callback can be told apart by what
+   * it printed
+   * @param {string} message
+   */
+  note(message) {
+    this.stack.at(-1)?.messages.push(message);
+  }
+}
+
+/**
+ * Run `fn` with its own event-loop delay histogram
+ * @param {Function} fn - Sync or async work to measure
+ * @returns {Promise<{durationMs: number, p50: number, p99: number, max: number}>}
+ */
+export async function measureLag(fn) {
+  const histogram = monitorEventLoopDelay({ resolution: RESOLUTION_MS });
+  histogram.enable();
+  // Same as LagMonitor#start(): let the histogram take its first samples
+  await new Promise((resolve) => setTimeout(resolve, RESOLUTION_MS * 2));
+  const started = performance.now();
+  await fn();
+  const durationMs = Math.round((performance.now() - started) * 10) / 10;
+  // Let the histogram take the sample that notices a stall at the very end
+  await new Promise((resolve) => setTimeout(resolve, RESOLUTION_MS * 2));
+  histogram.disable();
+  return { durationMs, ...summarize(histogram) };
+}
@@ -0,0 +1,102 @@
+// The labels demos attach to each log() call. `color` names an entry of the
+// reporter's palette (see reporters.mjs), so the labels themselves carry no
+// terminal codes.
+export const OP_TYPES = {
+  SYNC: {
+    name: 'SYNC CODE',
+    badge: '  SYNC  ',
+    color: 'green',
+    priority: 1,
+    phase: 'Call Stack',
+  },
+  MICROTASK: {
+    name: 'MICROTASK',
+    badge: 'MICROTSK',
+    color: 'magenta',
+    priority: 2,
+    phase: 'Microtask Queue',
+  },
+  NEXTTICK: {
+    name: 'NEXT TICK',
+    badge: 'NEXTtick',
+    color: 'blue',
+    priority: 2.1, // Actually runs before other microtasks
+    phase: 'process.nextTick Queue',
+  },
+  TIMER: {
+    name: 'TIMER',
+    badge: ' TIMER ',
+    color: 'red',
+    priority: 3,
+    phase: 'Timers Phase',
+  },
+  IMMEDIATE: {
+    name: 'IMMEDIATE',
+    badge: 'IMMEDIAT',
+    color: 'yellow',
+    priority: 4,
+    phase: 'Check Phase',
+  },
+  IO: {
+    name: 'I/O',
+    badge: '  I/O  ',
+    color: 'cyan',
+    priority: 5,
+    phase: 'Poll Phase',
+  },
+  PENDING: {
+    name: 'PENDING',
+    badge: 'PENDING ',
+    color: 'cyan',
+    priority: 3.5, // Between timers and poll
+    phase: 'Pending Callbacks Phase',
+  },
+  REJECTION: {
+    name: 'REJECTION',
+    badge: 'REJECTN ',
+    color: 'magenta',
+    priority: 2.2, // Once the nextTick and microtask queues are empty
+    phase: 'Unhandled Rejection Check',
+  },
+  CLOSE: {
+    name: 'CLOSE',
+    badge: ' CLOSE ',
+    color: 'white',
+    priority: 6,
+    phase: 'Close Callbacks Phase',
+  },
+  WORKER: {
+    name: 'WORKER',
+    badge: ' WORKER ',
+    color: 'blue',
+    priority: 5, // Worker messages arrive like any other I/O
+    phase: 'Poll Phase (worker message)',
+  },
+  THREADPOOL: {
+    name: 'THREAD POOL',
+    badge: 'THREADPL',
+    color: 'cyan',
+    priority: 5,
+    phase: 'Poll Phase (thread pool completion)',
+  },
+};
+
+// Each entry knows its own key, used as `type` in trace events
+for (const [type, opType] of Object.entries(OP_TYPES)) {
+  opType.type = type;
+  Object.freeze(opType);
+}
+Object.freeze(OP_TYPES);
+
+// What a traced run should observe for each label (see async-tracer.mjs).
+// SYNC has no entry: code after an await is synchronous relative to its
+// callback, so any observed phase is fine. Neither do PENDING, REJECTION and
+// CLOSE: Node reaches those through handle callbacks and process events that
+// the tracer does not follow.
+export const TRACED_PHASES = Object.freeze({
+  MICROTASK: 'microtask',
+  NEXTTICK: 'nextTick',
+  TIMER: 'timers',
+  IMMEDIATE: 'check',
+  IO: 'poll',
+});
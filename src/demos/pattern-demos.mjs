@@ -0,0 +1,485 @@
+import { setTimeout as sleepFor } from 'node:timers/promises';
+import { limitConcurrency, retry, sleep, withTimeout } from './async-utils.mjs';
+import { OP_TYPES } from './op-types.mjs';
+
+// Real-world async patterns against a mock API: sequential vs parallel,
+// cancellation, concurrency limits, retries and timeouts
+
+// ============================================================================
+// Mock API - shared by the pattern demos
+// ============================================================================
+
+/**
+ * The mock API's calls, logging to one demo run
+ * @param {Function} log - The run's log()
+ */
+function createMockApi(log) {
+  /**
+   * Simulated network request for a user
+   * @param {number} userId
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request mid-flight
+   * @param {number} [options.delayMs=30] - Simulated network delay
+   * @param {boolean} [options.fail=false] - Fail like an overloaded server
+   */
+  async function fetchUser(
+    userId,
+    { signal, delayMs = 30, fail = false } = {},
+  ) {
+    log(`Fetching user ${userId}...`, OP_TYPES.SYNC, 'API call initiated');
+
+    // Simulate network delay. What follows runs as the await's
+    // continuation, a microtask, once the timer resolved the promise
+    await sleep(delayMs, { signal });
+
+    if (fail) {
+      log(
+        `User ${userId} request failed`,
+        OP_TYPES.MICROTASK,
+        '503 Service Unavailable',
+      );
+      throw new Error(`503 Service Unavailable (user ${userId})`);
+    }
+    log(
+      `User ${userId} fetched`,
+      OP_TYPES.MICROTASK,
+      'Network response received',
+    );
+    return { id: userId, name: `User ${userId}` };
+  }
+
+  /**
+   * Simulated database query for a user's posts
+   * @param {number} userId
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the query mid-flight
+   * @param {number} [options.delayMs=40] - Simulated query time
+   */
+  async function fetchPosts(userId, { signal, delayMs = 40 } = {}) {
+    log(
+      `Fetching posts for user ${userId}...`,
+      OP_TYPES.SYNC,
+      'Database query',
+    );
+
+    await sleep(delayMs, { signal }); // Simulate network delay
+
+    log(
+      `Posts for user ${userId} fetched`,
+      OP_TYPES.MICROTASK,
+      'Query completed',
+    );
+    return [
+      { id: 1, title: 'Post 1' },
+      { id: 2, title: 'Post 2' },
+    ];
+  }
+
+  return { fetchUser, fetchPosts };
+}
+
+// ============================================================================
+// DEMO 8: Real-world Example - API Simulation with All Patterns
+// ============================================================================
+async function demo8_realWorld({ log, print, separator, wait, colors }) {
+  separator('DEMO 8: Real-world API Patterns - Sequential vs Parallel');
+  const { fetchUser, fetchPosts } = createMockApi(log);
+
+  log('Starting API request simulation', OP_TYPES.SYNC, 'Application startup');
+
+  // Sequential execution (SLOW - 70ms total)
+  log('PATTERN 1: Sequential API calls', OP_TYPES.SYNC, 'One after another');
+  const seqStart = Date.now();
+  const user1 = await fetchUser(1);
+  const posts1 = await fetchPosts(user1.id);
+  log(
+    `Got ${posts1.length} posts for ${user1.name}`,
+    OP_TYPES.MICROTASK,
+    `Took ${Date.now() - seqStart}ms`,
+  );
+
+  // Parallel execution (FAST - 40ms total)
+  log('\nPATTERN 2: Parallel API calls', OP_TYPES.SYNC, 'All at once');
+  const parStart = Date.now();
+  const [user2, user3] = await Promise.all([fetchUser(2), fetchUser(3)]);
+  log(
+    `Got users: ${user2.name} and ${user3.name}`,
+    OP_TYPES.MICROTASK,
+    `Took ${Date.now() - parStart}ms`,
+  );
+
+  // Race pattern (returns first result)
+  log('\nPATTERN 3: Promise.race (first wins)', OP_TYPES.SYNC, 'Competition');
+  const winner = await Promise.race([
+    fetchUser(4),
+    wait(100).then(() => ({ id: 0, name: 'Timeout' })),
+  ]);
+  log(`Winner: ${winner.name}`, OP_TYPES.MICROTASK, 'Fastest response');
+
+  print(`\n${colors.yellow}Use Cases:${colors.reset}`);
+  print(
+    `  ${colors.green}Sequential${colors.reset}: When next request depends on previous result`,
+  );
+  print(
+    `  ${colors.green}Parallel${colors.reset}: When requests are independent - much faster!`,
+  );
+  print(
+    `  ${colors.green}Race${colors.reset}: Timeout handling, fastest mirror, redundancy\n`,
+  );
+}
+
+// ============================================================================
+// DEMO 14: AbortController - cancelling timers and async operations
+// ============================================================================
+async function demo14_abortController({ log, separator }) {
+  separator('DEMO 14: AbortController Cancellation');
+
+  log(
+    'Starting two 100ms operations',
+    OP_TYPES.SYNC,
+    'One cancelled by hand, one by AbortSignal.timeout(40)',
+  );
+
+  const controller = new AbortController();
+  controller.signal.addEventListener('abort', () => {
+    log(
+      "'abort' event listener",
+      OP_TYPES.SYNC,
+      'Runs synchronously inside abort()',
+    );
+  });
+
+  const manual = sleepFor(100, 'done', { signal: controller.signal }).then(
+    () => log('Manual operation finished', OP_TYPES.TIMER, 'Never happens'),
+    (error) =>
+      log(
+        `Manual operation rejected: ${error.name}`,
+        OP_TYPES.MICROTASK,
+        'Rejection is delivered as a microtask',
+      ),
+  );
+
+  const timed = sleepFor(100, 'done', { signal: AbortSignal.timeout(40) }).then(
+    () => log('Timed operation finished', OP_TYPES.TIMER, 'Never happens'),
+    (error) =>
+      log(
+        `Timed operation rejected: ${error.name} (cause: ${error.cause?.name})`,
+        OP_TYPES.MICROTASK,
+        'AbortSignal.timeout() fired first',
+      ),
+  );
+
+  setTimeout(() => {
+    log('Calling controller.abort()', OP_TYPES.TIMER, 'After 20ms');
+    controller.abort();
+    log('abort() returned', OP_TYPES.SYNC, 'The listener already ran');
+  }, 20);
+
+  const started = Date.now();
+  await Promise.all([manual, timed]);
+  log(
+    'Both operations settled',
+    OP_TYPES.MICROTASK,
+    `After ${Date.now() - started}ms instead of 100ms - their timers were cleared`,
+  );
+}
+
+// ============================================================================
+// DEMO 20: Concurrency Limits & Retries with Backoff
+// ============================================================================
+async function demo20_concurrencyAndRetries({ log, print, separator, colors }) {
+  separator('DEMO 20: Concurrency Limits & Retries with Backoff');
+  const { fetchUser } = createMockApi(log);
+
+  // Count requests in flight to show what the limit changes
+  let inFlight = 0;
+  let peak = 0;
+  const tracked = (request) => async () => {
+    inFlight++;
+    peak = Math.max(peak, inFlight);
+    try {
+      return await request();
+    } finally {
+      inFlight--;
+    }
+  };
+
+  log(
+    'PATTERN 1: Promise.all over 4 users',
+    OP_TYPES.SYNC,
+    'Every request starts at once',
+  );
+  let started = Date.now();
+  await Promise.all([1, 2, 3, 4].map((id) => tracked(() => fetchUser(id))()));
+  log(
+    'Users 1-4 fetched',
+    OP_TYPES.MICROTASK,
+    `Took ${Date.now() - started}ms, peak ${peak} requests in flight`,
+  );
+
+  log(
+    '\nPATTERN 2: limitConcurrency(2) over 4 users',
+    OP_TYPES.SYNC,
+    'At most 2 requests at a time',
+  );
+  const run = limitConcurrency(2);
+  started = Date.now();
+  peak = 0;
+  await Promise.all(
+    [5, 6, 7, 8].map((id) => run(tracked(() => fetchUser(id)))),
+  );
+  log(
+    'Users 5-8 fetched',
+    OP_TYPES.MICROTASK,
+    `Took ${Date.now() - started}ms, peak ${peak} requests in flight`,
+  );
+
+  log(
+    '\nPATTERN 3: retry() with exponential backoff and jitter',
+    OP_TYPES.SYNC,
+    'The first 2 attempts fail',
+  );
+  const BASE_DELAY_MS = 20;
+  const user = await retry((attempt) => fetchUser(9, { fail: attempt <= 2 }), {
+    retries: 3,
+    baseDelayMs: BASE_DELAY_MS,
+    onRetry: ({ attempt, delayMs }) => {
+      log(
+        `Attempt ${attempt} failed, backing off`,
+        OP_TYPES.MICROTASK,
+        `Retry in ${delayMs}ms (random between 0 and ${BASE_DELAY_MS * 2 ** (attempt - 1)}ms)`,
+      );
+    },
+  });
+  log(
+    `Got ${user.name} on attempt 3`,
+    OP_TYPES.MICROTASK,
+    'Transient failures never reached the caller',
+  );
+
+  print(`\n${colors.yellow}Use Cases:${colors.reset}`);
+  print(
+    `  ${colors.green}limitConcurrency${colors.reset}: Rate-limited APIs, database pools, crawling many URLs`,
+  );
+  print(
+    `  ${colors.green}retry + jitter${colors.reset}: Flaky networks; jitter stops clients from retrying in lockstep\n`,
+  );
+}
+
+// ============================================================================
+// DEMO 21: Timeouts & Cancellation - AbortSignal, allSettled, any
+// ============================================================================
+async function demo21_timeoutsAndCancellation({
+  log,
+  print,
+  separator,
+  wait,
+  colors,
+}) {
+  separator('DEMO 21: Timeouts & Cancellation - AbortSignal, allSettled, any');
+  const { fetchUser, fetchPosts } = createMockApi(log);
+
+  log(
+    'PATTERN 1: Promise.race against a timer',
+    OP_TYPES.SYNC,
+    'The timeout from demo 8',
+  );
+  const raced = await Promise.race([
+    fetchUser(10, { delayMs: 60 }),
+    wait(30).then(() => 'timeout'),
+  ]);
+  log(
+    `Race settled: ${raced === 'timeout' ? 'timeout' : raced.name}`,
+    OP_TYPES.MICROTASK,
+    'But the request keeps running...',
+  );
+  await wait(50);
+  log(
+    'The losing request finished anyway',
+    OP_TYPES.MICROTASK,
+    'Its result is simply thrown away',
+  );
+
+  log(
+    '\nPATTERN 2: withTimeout() with an AbortSignal',
+    OP_TYPES.SYNC,
+    'The timeout cancels the request',
+  );
+  try {
+    await withTimeout((signal) => fetchUser(11, { signal, delayMs: 60 }), 30);
+  } catch (error) {
+    log(
+      `withTimeout() rejected: ${error.name}`,
+      OP_TYPES.MICROTASK,
+      error.message,
+    );
+  }
+  await wait(50);
+  log(
+    'User 11 never arrived',
+    OP_TYPES.MICROTASK,
+    'The request was aborted and its timer cleared',
+  );
+
+  log(
+    '\nPATTERN 3: Promise.allSettled',
+    OP_TYPES.SYNC,
+    'Wait for everything, even when some requests fail',
+  );
+  const settled = await Promise.allSettled([
+    fetchUser(12),
+    fetchUser(13, { fail: true }),
+    fetchPosts(12),
+  ]);
+  log(
+    `allSettled: ${settled.map((result) => result.status).join(', ')}`,
+    OP_TYPES.MICROTASK,
+    'Never rejects - check each status instead',
+  );
+
+  log(
+    '\nPATTERN 4: Promise.any over three mirrors',
+    OP_TYPES.SYNC,
+    'First success wins, failures are ignored',
+  );
+  const mirrors = new AbortController();
+  const fastest = await Promise.any([
+    fetchUser(14, { fail: true, delayMs: 10 }),
+    fetchUser(15, { signal: mirrors.signal, delayMs: 30 }),
+    fetchUser(16, { signal: mirrors.signal, delayMs: 60 }),
+  ]);
+  // The slower mirror is no longer needed
+  mirrors.abort();
+  log(
+    `Promise.any resolved with ${fastest.name}`,
+    OP_TYPES.MICROTASK,
+    'The failed mirror did not matter, the slow one was aborted',
+  );
+
+  print(`\n${colors.yellow}Use Cases:${colors.reset}`);
+  print(
+    `  ${colors.green}withTimeout / AbortSignal${colors.reset}: Timeouts that free sockets, timers and memory`,
+  );
+  print(
+    `  ${colors.green}allSettled${colors.reset}: Dashboards and batch jobs where partial results are fine`,
+  );
+  print(
+    `  ${colors.green}any${colors.reset}: Mirrors and replicas - the first healthy answer wins\n`,
+  );
+}
+
+export const PATTERN_DEMOS = [
+  {
+    id: 8,
+    name: 'real-world',
+    title: 'Real-world API Patterns',
+    run: demo8_realWorld,
+    expected: [
+      'Starting API request simulation',
+      'PATTERN 1: Sequential API calls',
+      'Fetching user 1...',
+      'User 1 fetched',
+      'Fetching posts for user 1...',
+      'Posts for user 1 fetched',
+      'Got 2 posts for User 1',
+      '\nPATTERN 2: Parallel API calls',
+      'Fetching user 2...',
+      'Fetching user 3...',
+      'User 2 fetched',
+      'User 3 fetched',
+      'Got users: User 2 and User 3',
+      '\nPATTERN 3: Promise.race (first wins)',
+      'Fetching user 4...',
+      'User 4 fetched',
+      'Winner: User 4',
+    ],
+  },
+
+  {
+    id: 14,
+    name: 'abort-controller',
+    title: 'AbortController Cancellation',
+    run: demo14_abortController,
+    expected: [
+      'Starting two 100ms operations',
+      'Calling controller.abort()',
+      "'abort' event listener",
+      'abort() returned',
+      'Manual operation rejected: AbortError',
+      'Timed operation rejected: AbortError (cause: TimeoutError)',
+      'Both operations settled',
+    ],
+  },
+
+  {
+    id: 20,
+    name: 'concurrency-and-retries',
+    title: 'Concurrency Limits & Retries with Backoff',
+    run: demo20_concurrencyAndRetries,
+    expected: [
+      'PATTERN 1: Promise.all over 4 users',
+      'Fetching user 1...',
+      'Fetching user 2...',
+      'Fetching user 3...',
+      'Fetching user 4...',
+      'User 1 fetched',
+      'User 2 fetched',
+      'User 3 fetched',
+      'User 4 fetched',
+      'Users 1-4 fetched',
+      '\nPATTERN 2: limitConcurrency(2) over 4 users',
+      'Fetching user 5...',
+      'Fetching user 6...',
+      'User 5 fetched',
+      'Fetching user 7...',
+      'User 6 fetched',
+      'Fetching user 8...',
+      'User 7 fetched',
+      'User 8 fetched',
+      'Users 5-8 fetched',
+      '\nPATTERN 3: retry() with exponential backoff and jitter',
+      'Fetching user 9...',
+      'User 9 request failed',
+      'Attempt 1 failed, backing off',
+      'Fetching user 9...',
+      'User 9 request failed',
+      'Attempt 2 failed, backing off',
+      'Fetching user 9...',
+      'User 9 fetched',
+      'Got User 9 on attempt 3',
+    ],
+  },
+
+  {
+    id: 21,
+    name: 'timeouts-and-cancellation',
+    title: 'Timeouts & Cancellation - AbortSignal, allSettled, any',
+    run: demo21_timeoutsAndCancellation,
+    expected: [
+      'PATTERN 1: Promise.race against a timer',
+      'Fetching user 10...',
+      'Race settled: timeout',
+      'User 10 fetched',
+      'The losing request finished anyway',
+      '\nPATTERN 2: withTimeout() with an AbortSignal',
+      'Fetching user 11...',
+      'withTimeout() rejected: TimeoutError',
+      'User 11 never arrived',
+      '\nPATTERN 3: Promise.allSettled',
+      'Fetching user 12...',
+      'Fetching user 13...',
+      'Fetching posts for user 12...',
+      'User 12 fetched',
+      'User 13 request failed',
+      'Posts for user 12 fetched',
+      'allSettled: fulfilled, rejected, fulfilled',
+      '\nPATTERN 4: Promise.any over three mirrors',
+      'Fetching user 14...',
+      'Fetching user 15...',
+      'Fetching user 16...',
+      'User 14 request failed',
+      'User 15 fetched',
+      'Promise.any resolved with User 15',
+    ],
+  },
+];
@@ -0,0 +1,238 @@
+import crypto from 'node:crypto';
+import { execFile } from 'node:child_process';
+import { availableParallelism } from 'node:os';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+import { Worker } from 'node:worker_threads';
+import * as bench from './thread-pool-bench.mjs';
+import { measureLag } from './lag-monitor.mjs';
+import { OP_TYPES } from './op-types.mjs';
+
+// What CPU-bound work does to the event loop, and how worker threads, the
+// libuv thread pool and chunking keep it responsive
+
+const BENCH_SCRIPT = new URL('./thread-pool-bench.mjs', import.meta.url);
+
+// ============================================================================
+// DEMO 15: Worker Threads & the libuv Thread Pool
+// ============================================================================
+async function demo15_threadPool({ log, print, separator, colors }) {
+  separator('DEMO 15: Worker Threads & the libuv Thread Pool');
+
+  const describe = ({ ms, maxLagMs }) =>
+    `${ms}ms total, event loop blocked up to ${maxLagMs}ms`;
+
+  log(
+    'Starting thread-pool demonstration',
+    OP_TYPES.SYNC,
+    `${availableParallelism()} CPU core(s), pool size ${process.env.UV_THREADPOOL_SIZE ?? 4}`,
+  );
+
+  // 1. CPU-bound work on the main thread blocks everything else
+  const mainThread = await bench.measure(() => {
+    for (let i = 0; i < bench.TASKS; i++) {
+      crypto.pbkdf2Sync(...bench.PBKDF2_ARGS);
+    }
+  });
+  log(
+    `Main thread: ${bench.TASKS} x pbkdf2Sync`,
+    OP_TYPES.SYNC,
+    describe(mainThread),
+  );
+
+  // 2. The same work in worker_threads, each with its own event loop
+  const workerSource = `
+    const { parentPort, workerData } = require('worker_threads');
+    require('crypto').pbkdf2Sync(...workerData);
+    parentPort.postMessage('done');
+  `;
+  const workers = await bench.measure(() =>
+    Promise.all(
+      Array.from(
+        { length: bench.TASKS },
+        () =>
+          new Promise((resolve, reject) => {
+            const worker = new Worker(workerSource, {
+              eval: true,
+              workerData: bench.PBKDF2_ARGS,
+            });
+            worker.once('message', resolve);
+            worker.once('error', reject);
+          }),
+      ),
+    ),
+  );
+  log(
+    `worker_threads: ${bench.TASKS} workers x pbkdf2Sync`,
+    OP_TYPES.WORKER,
+    describe(workers),
+  );
+
+  // 3. Pool-backed async APIs: the work happens on libuv's threads
+  for (const [name, workload] of Object.entries(bench.POOL_WORKLOADS)) {
+    const result = await bench.measure(workload);
+    log(
+      `Thread pool: ${bench.TASKS} x ${name}`,
+      OP_TYPES.THREADPOOL,
+      describe(result),
+    );
+  }
+
+  // 4. UV_THREADPOOL_SIZE only applies at startup, so each size gets a
+  // fresh process running thread-pool-bench.mjs
+  const run = promisify(execFile);
+  for (const size of [1, 2, 4, 8]) {
+    const { stdout } = await run(
+      process.execPath,
+      [fileURLToPath(BENCH_SCRIPT)],
+      { env: { ...process.env, UV_THREADPOOL_SIZE: String(size) } },
+    );
+    const report = JSON.parse(stdout);
+    log(
+      `UV_THREADPOOL_SIZE=${size}`,
+      OP_TYPES.THREADPOOL,
+      `pbkdf2 ${report.results.pbkdf2.ms}ms, zlib ${report.results.zlib.ms}ms, fs ${report.results.fs.ms}ms, fs.readFile behind pbkdf2 ${report.fsBehindCryptoMs}ms`,
+    );
+  }
+
+  log('Thread-pool demonstration complete', OP_TYPES.SYNC, 'See notes below');
+
+  print(`\n${colors.yellow}What to look for:${colors.reset}`);
+  print(
+    `  ${colors.green}Main thread${colors.reset}: the event loop is blocked for the whole computation`,
+  );
+  print(
+    `  ${colors.green}Workers / thread pool${colors.reset}: same work, but the loop stays responsive`,
+  );
+  print(
+    `  ${colors.green}Pool size${colors.reset}: with fewer threads than tasks, jobs queue - even a tiny fs.readFile waits behind pbkdf2`,
+  );
+  print(
+    `  ${colors.dim}More threads only help up to the number of CPU cores${colors.reset}\n`,
+  );
+}
+
+// ============================================================================
+// DEMO 16: Blocking vs Chunking - what a blocked event loop looks like
+// ============================================================================
+async function demo16_blockingVsChunking({ log, print, separator, colors }) {
+  separator('DEMO 16: Blocking the Event Loop vs setImmediate Chunking');
+
+  const ITEMS = 3_000_000;
+  const CHUNK_SIZE = 100_000;
+  let checksum = 0;
+
+  function processItems(from, to) {
+    for (let i = from; i < to; i++) {
+      checksum += Math.sqrt(i) % 1;
+    }
+  }
+
+  // A 5ms timer started with the work shows how long anything else waits
+  function probeTimer() {
+    const scheduled = performance.now();
+    let firedAfterMs = null;
+    setTimeout(() => {
+      firedAfterMs = (performance.now() - scheduled).toFixed(1);
+    }, 5);
+    return () => firedAfterMs;
+  }
+
+  const describe = (result, timerFiredAfter) =>
+    `${result.durationMs}ms of work, lag p50 ${result.p50}ms / p99 ${result.p99}ms / max ${result.max}ms, 5ms timer fired after ${timerFiredAfter()}ms`;
+
+  log(
+    `Processing ${ITEMS} items twice`,
+    OP_TYPES.SYNC,
+    'Once in one go, once in setImmediate chunks',
+  );
+
+  let timerFiredAfter;
+  const blocking = await measureLag(
+    () =>
+      new Promise((resolve) => {
+        timerFiredAfter = probeTimer();
+        // A callback of its own, so --lag can name the one that blocked
+        setImmediate(() => {
+          log(
+            'Blocking callback started',
+            OP_TYPES.IMMEDIATE,
+            `Processes all ${ITEMS} items before returning`,
+          );
+          processItems(0, ITEMS);
+          resolve();
+        });
+      }),
+  );
+  log(
+    'Blocking: every item in one callback',
+    OP_TYPES.SYNC,
+    describe(blocking, timerFiredAfter),
+  );
+
+  const chunked = await measureLag(
+    () =>
+      new Promise((resolve) => {
+        timerFiredAfter = probeTimer();
+        let next = 0;
+        (function processChunk() {
+          processItems(next, Math.min(next + CHUNK_SIZE, ITEMS));
+          next += CHUNK_SIZE;
+          // Yield to timers and I/O before the next chunk
+          if (next < ITEMS) setImmediate(processChunk);
+          else resolve();
+        })();
+      }),
+  );
+  log(
+    `Chunked: ${ITEMS / CHUNK_SIZE} chunks with setImmediate in between`,
+    OP_TYPES.MICROTASK,
+    describe(chunked, timerFiredAfter),
+  );
+
+  log(
+    'Same result, but the loop stayed responsive',
+    OP_TYPES.SYNC,
+    `Checksum ${checksum.toFixed(3)}`,
+  );
+
+  print(
+    `\n${colors.dim}Note: chunking costs a little total time but keeps each callback short. Run with --lag to see which callbacks blocked the loop.${colors.reset}\n`,
+  );
+}
+
+export const PERFORMANCE_DEMOS = [
+  {
+    id: 15,
+    name: 'thread-pool',
+    title: 'Worker Threads & the libuv Thread Pool',
+    run: demo15_threadPool,
+    expected: [
+      'Starting thread-pool demonstration',
+      'Main thread: 4 x pbkdf2Sync',
+      'worker_threads: 4 workers x pbkdf2Sync',
+      'Thread pool: 4 x pbkdf2',
+      'Thread pool: 4 x zlib',
+      'Thread pool: 4 x fs',
+      'UV_THREADPOOL_SIZE=1',
+      'UV_THREADPOOL_SIZE=2',
+      'UV_THREADPOOL_SIZE=4',
+      'UV_THREADPOOL_SIZE=8',
+      'Thread-pool demonstration complete',
+    ],
+  },
+
+  {
+    id: 16,
+    name: 'blocking-vs-chunking',
+    title: 'Blocking the Event Loop vs setImmediate Chunking',
+    run: demo16_blockingVsChunking,
+    expected: [
+      'Processing 3000000 items twice',
+      'Blocking callback started',
+      'Blocking: every item in one callback',
+      'Chunked: 30 chunks with setImmediate in between',
+      'Same result, but the loop stayed responsive',
+    ],
+  },
+];
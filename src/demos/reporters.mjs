@@ -0,0 +1,159 @@
+import { OP_TYPES } from './op-types.mjs';
+
+/*
+ * Where a demo run's output goes. A reporter is any object with:
+ *
+ *   - event(event): one log() call, as the trace event that --format ndjson
+ *     prints ({ demo, seq, elapsedMs, type, message, details, observed, ... })
+ *   - print(text): everything else a demo prints, such as headings and notes
+ *   - colors: the palette demos use in that text, ANSI_COLORS or NO_COLORS
+ */
+
+export const ANSI_COLORS = Object.freeze({
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  dim: '\x1b[2m',
+  green: '\x1b[32m',
+  blue: '\x1b[34m',
+  yellow: '\x1b[33m',
+  red: '\x1b[31m',
+  magenta: '\x1b[35m',
+  cyan: '\x1b[36m',
+  white: '\x1b[37m',
+  bgGreen: '\x1b[42m',
+  bgBlue: '\x1b[44m',
+  bgMagenta: '\x1b[45m',
+  bgRed: '\x1b[41m',
+  bgYellow: '\x1b[43m',
+});
+
+// The same names without escape codes, for output that is not a terminal
+export const NO_COLORS = Object.freeze(
+  Object.fromEntries(Object.keys(ANSI_COLORS).map((name) => [name, ''])),
+);
+
+/**
+ * Colors are on for terminals and off when output is piped or redirected,
+ * unless NO_COLOR or FORCE_COLOR says otherwise
+ * @param {import('node:stream').Writable} [stream]
+ * @param {NodeJS.ProcessEnv} [env]
+ */
+export function detectColor(stream = process.stdout, env = process.env) {
+  if ('NO_COLOR' in env) return false;
+  if ('FORCE_COLOR' in env) return true;
+  return Boolean(stream.isTTY);
+}
+
+/**
+ * Human-readable output: one badge line per log() call, plus the demo's
+ * headings and notes
+ */
+export class ConsoleReporter {
+  #stream;
+
+  /**
+   * @param {object} [options]
+   * @param {import('node:stream').Writable} [options.stream=process.stdout]
+   * @param {boolean} [options.color] - Defaults to detectColor(stream)
+   */
+  constructor({ stream = process.stdout, color = detectColor(stream) } = {}) {
+    this.#stream = stream;
+    this.colors = color ? ANSI_COLORS : NO_COLORS;
+  }
+
+  event(event) {
+    this.print(formatEvent(event, this.colors));
+  }
+
+  print(text = '') {
+    this.#stream.write(`${text}\n`);
+  }
+}
+
+/**
+ * One JSON trace event per line (NDJSON) and nothing else
+ */
+export class JsonReporter {
+  #stream;
+
+  /**
+   * @param {import('node:stream').Writable} [stream=process.stdout]
+   */
+  constructor(stream = process.stdout) {
+    this.#stream = stream;
+    this.colors = NO_COLORS;
+  }
+
+  event(event) {
+    this.#stream.write(`${JSON.stringify(event)}\n`);
+  }
+
+  print() {}
+}
+
+/**
+ * Keeps a run's events and printed text in arrays, e.g. for tests
+ */
+export class MemoryReporter {
+  constructor() {
+    this.colors = NO_COLORS;
+    /** @type {object[]} */
+    this.events = [];
+    /** @type {string[]} */
+    this.printed = [];
+  }
+
+  event(event) {
+    this.events.push(event);
+  }
+
+  print(text = '') {
+    this.printed.push(text);
+  }
+}
+
+/**
+ * Send a run's output to several reporters; demos get the first one's colors
+ * @param {...object} reporters
+ */
+export function combineReporters(...reporters) {
+  return {
+    colors: reporters[0]?.colors ?? NO_COLORS,
+    event(event) {
+      for (const reporter of reporters) reporter.event(event);
+    },
+    print(text) {
+      for (const reporter of reporters) reporter.print(text);
+    },
+  };
+}
+
+function formatEvent(event, colors) {
+  const opType = OP_TYPES[event.type];
+  const color = colors[opType.color];
+  const elapsed = String(Math.floor(event.elapsedMs)).padStart(4, '0');
+
+  const timestamp = `${colors.dim}[${elapsed}ms]${colors.reset}`;
+  const badge = `${color}${colors.bright}[${opType.badge}]${colors.reset}`;
+  const priority = `${colors.dim}P${opType.priority}${colors.reset}`;
+  const details = event.details
+    ? `${colors.dim}(${event.details})${colors.reset}`
+    : '';
+  const observed = event.observed
+    ? ` ${formatObserved(event.observed, colors)}`
+    : '';
+
+  return `${timestamp} ${badge} ${priority} ${color}${event.seq}. ${event.message}${colors.reset} ${details}${observed}`;
+}
+
+function formatObserved({ phase, resource, cause, mismatch }, colors) {
+  let text = `observed ${phase}`;
+  if (resource) {
+    text += ` (${resource.type} #${resource.asyncId}`;
+    if (cause) text += `, via ${cause.type} #${cause.asyncId}`;
+    text += ')';
+  }
+  return mismatch
+    ? `${colors.bgYellow}${colors.bright} ⚠ ${text} ${colors.reset}`
+    : `${colors.dim}${text}${colors.reset}`;
+}
@@ -0,0 +1,254 @@
+import { Readable, Transform, Writable, pipeline } from 'node:stream';
+import { pipeline as pipelinePromise } from 'node:stream/promises';
+import { OP_TYPES } from './op-types.mjs';
+
+// Readable, Writable and Transform streams, pipeline(), backpressure and
+// async iteration, logged with the same log()/OP_TYPES badges as the other
+// demos
+
+// ============================================================================
+// DEMO 17: Readable -> Transform -> Writable with pipeline()
+// ============================================================================
+function demo17_streamPipeline({ log, print, separator, colors }) {
+  separator('DEMO 17: Streams - pipeline() and the nextTick Queue');
+
+  log(
+    'Creating readable -> transform -> writable',
+    OP_TYPES.SYNC,
+    'Object mode, three chunks',
+  );
+
+  const source = new Readable({
+    objectMode: true,
+    read() {
+      // Everything is pushed up front below
+    },
+  });
+  for (const word of ['alpha', 'beta', 'gamma']) source.push(word);
+  source.push(null);
+
+  const upperCase = new Transform({
+    objectMode: true,
+    transform(chunk, _encoding, callback) {
+      log(`transform: ${chunk}`, OP_TYPES.NEXTTICK, 'Called while flowing');
+      callback(null, chunk.toUpperCase());
+    },
+  });
+
+  const sink = new Writable({
+    objectMode: true,
+    write(chunk, _encoding, callback) {
+      log(`write: ${chunk}`, OP_TYPES.NEXTTICK, 'Same tick as transform');
+      callback();
+    },
+  });
+
+  sink.on('finish', () => {
+    log("writable 'finish' event", OP_TYPES.NEXTTICK, 'All chunks written');
+  });
+
+  pipeline(source, upperCase, sink, (error) => {
+    log(
+      'pipeline() callback',
+      OP_TYPES.NEXTTICK,
+      error ? error.message : 'Every stream finished and was cleaned up',
+    );
+  });
+
+  process.nextTick(() => {
+    log('nextTick queued after pipeline()', OP_TYPES.NEXTTICK, 'FIFO');
+  });
+
+  Promise.resolve().then(() => {
+    log(
+      'Promise.then queued after pipeline()',
+      OP_TYPES.MICROTASK,
+      'After the whole nextTick queue',
+    );
+  });
+
+  setImmediate(() => {
+    log('setImmediate', OP_TYPES.IMMEDIATE, 'The streams are long done');
+  });
+
+  log('pipeline() returned', OP_TYPES.SYNC, 'No chunk has moved yet');
+
+  print(
+    `\n${colors.dim}Note: streams schedule their work with process.nextTick, so in-memory data can flow completely before a single Promise callback runs${colors.reset}\n`,
+  );
+}
+
+// ============================================================================
+// DEMO 18: Backpressure - write() returning false and 'drain'
+// ============================================================================
+function demo18_streamBackpressure({ log, print, separator, colors }) {
+  separator("DEMO 18: Streams - Backpressure with write() and 'drain'");
+
+  const HIGH_WATER_MARK = 3;
+  const CHUNKS = 8;
+
+  log(
+    `Slow writable with highWaterMark ${HIGH_WATER_MARK}`,
+    OP_TYPES.SYNC,
+    'Every write takes 10ms',
+  );
+
+  const slowSink = new Writable({
+    objectMode: true,
+    highWaterMark: HIGH_WATER_MARK,
+    write(_chunk, _encoding, callback) {
+      setTimeout(callback, 10);
+    },
+  });
+
+  let next = 1;
+  function produce() {
+    while (next <= CHUNKS) {
+      const ok = slowSink.write(next);
+      next++;
+      if (!ok) {
+        log(
+          `write() returned false at chunk ${next - 1}`,
+          OP_TYPES.SYNC,
+          `Buffer holds ${slowSink.writableLength} chunks, stop producing`,
+        );
+        slowSink.once('drain', () => {
+          log("'drain' event", OP_TYPES.TIMER, 'Buffer emptied, resume');
+          produce();
+        });
+        return;
+      }
+    }
+    log('All chunks handed to write()', OP_TYPES.SYNC, 'Calling end()');
+    slowSink.end();
+  }
+
+  slowSink.on('finish', () => {
+    log(
+      "'finish' event",
+      OP_TYPES.NEXTTICK,
+      `${CHUNKS} chunks written, emitted on a nextTick after the last one`,
+    );
+  });
+
+  produce();
+
+  print(
+    `\n${colors.dim}Note: write() returning false is advice, not an error - ignoring it makes the buffer (and memory use) grow without bound${colors.reset}\n`,
+  );
+}
+
+// ============================================================================
+// DEMO 19: Async iteration over streams
+// ============================================================================
+async function demo19_streamAsyncIteration({ log, separator }) {
+  separator('DEMO 19: Streams - Async Iteration');
+
+  log('Readable fed by timers', OP_TYPES.SYNC, 'Chunks arrive 10ms apart');
+
+  const ticker = new Readable({
+    objectMode: true,
+    read() {
+      // Chunks are pushed by the timers below
+    },
+  });
+  ['one', 'two', 'three'].forEach((word, index) => {
+    setTimeout(
+      () => {
+        log(`push('${word}')`, OP_TYPES.TIMER, 'Timers phase');
+        ticker.push(word);
+        if (index === 2) ticker.push(null);
+      },
+      10 * (index + 1),
+    );
+  });
+
+  for await (const chunk of ticker) {
+    log(`for await got '${chunk}'`, OP_TYPES.MICROTASK, 'Loop resumes');
+  }
+  log('for await loop ended', OP_TYPES.MICROTASK, 'The stream ended');
+
+  log(
+    'stream/promises pipeline() with an async generator',
+    OP_TYPES.MICROTASK,
+    'Multiplies each number by 10',
+  );
+  const results = [];
+  await pipelinePromise(
+    Readable.from([1, 2, 3]),
+    async function* timesTen(numbers) {
+      for await (const number of numbers) {
+        yield number * 10;
+      }
+    },
+    new Writable({
+      objectMode: true,
+      write(chunk, _encoding, callback) {
+        results.push(chunk);
+        callback();
+      },
+    }),
+  );
+  log(
+    'await pipeline() resolved',
+    OP_TYPES.MICROTASK,
+    `Written: ${results.join(', ')}`,
+  );
+}
+
+export const STREAM_DEMOS = [
+  {
+    id: 17,
+    name: 'stream-pipeline',
+    title: 'Streams - pipeline() and the nextTick Queue',
+    run: demo17_streamPipeline,
+    expected: [
+      'Creating readable -> transform -> writable',
+      'pipeline() returned',
+      'transform: alpha',
+      'write: ALPHA',
+      'transform: beta',
+      'write: BETA',
+      'transform: gamma',
+      'write: GAMMA',
+      'nextTick queued after pipeline()',
+      "writable 'finish' event",
+      'pipeline() callback',
+      'Promise.then queued after pipeline()',
+      'setImmediate',
+    ],
+  },
+  {
+    id: 18,
+    name: 'stream-backpressure',
+    title: "Streams - Backpressure with write() and 'drain'",
+    run: demo18_streamBackpressure,
+    expected: [
+      'Slow writable with highWaterMark 3',
+      'write() returned false at chunk 3',
+      "'drain' event",
+      'write() returned false at chunk 6',
+      "'drain' event",
+      'All chunks handed to write()',
+      "'finish' event",
+    ],
+  },
+  {
+    id: 19,
+    name: 'stream-async-iteration',
+    title: 'Streams - Async Iteration',
+    run: demo19_streamAsyncIteration,
+    expected: [
+      'Readable fed by timers',
+      "push('one')",
+      "for await got 'one'",
+      "push('two')",
+      "for await got 'two'",
+      "push('three')",
+      "for await got 'three'",
+      'for await loop ended',
+      'stream/promises pipeline() with an async generator',
+      'await pipeline() resolved',
+    ],
+  },
+];
@@ -0,0 +1,107 @@
+import crypto from 'node:crypto';
+import { realpathSync } from 'node:fs';
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+import zlib from 'node:zlib';
+
+/*
+ * Thread-pool benchmarks for demo 15 (src/demos/performance-demos.mjs)
+ *
+ * UV_THREADPOOL_SIZE is read once, when libuv's pool is first used, so the
+ * pool size experiments run this file in a child process per size:
+ *
+ *   UV_THREADPOOL_SIZE=2 node src/demos/thread-pool-bench.mjs
+ *
+ * It prints one JSON line with the timings of each pool-backed API.
+ */
+
+const pbkdf2 = promisify(crypto.pbkdf2);
+const gzip = promisify(zlib.gzip);
+
+// Roughly 30ms of CPU per task on a typical laptop core
+export const PBKDF2_ARGS = ['secret', 'salt', 25000, 64, 'sha512'];
+const GZIP_INPUT = crypto.randomBytes(256 * 1024);
+export const TASKS = 4;
+const HEARTBEAT_MS = 5;
+// The fs workload reads this file
+const THIS_FILE = fileURLToPath(import.meta.url);
+
+/**
+ * Run `fn` while a heartbeat timer checks how long the event loop stalls
+ * @param {Function} fn - Sync or async work to measure
+ * @returns {Promise<{ms: number, maxLagMs: number}>} Total time, and the
+ *   longest the heartbeat was late (0 when the loop never stalled)
+ */
+export async function measure(fn) {
+  let maxLagMs = 0;
+  let last = performance.now();
+  const heartbeat = setInterval(() => {
+    const now = performance.now();
+    maxLagMs = Math.max(maxLagMs, now - last - HEARTBEAT_MS);
+    last = now;
+  }, HEARTBEAT_MS);
+
+  const started = performance.now();
+  // Give the heartbeat a first tick, so blocking at the start is counted
+  await new Promise((resolve) => setImmediate(resolve));
+  await fn();
+  const ms = performance.now() - started;
+
+  clearInterval(heartbeat);
+  // A synchronous fn blocks until now without a heartbeat noticing
+  maxLagMs = Math.max(maxLagMs, performance.now() - last - HEARTBEAT_MS);
+
+  return { ms: round(ms), maxLagMs: round(Math.max(maxLagMs, 0)) };
+}
+
+function round(ms) {
+  return Math.round(ms * 10) / 10;
+}
+
+// TASKS concurrent calls of each pool-backed API
+export const POOL_WORKLOADS = {
+  pbkdf2: () =>
+    Promise.all(Array.from({ length: TASKS }, () => pbkdf2(...PBKDF2_ARGS))),
+  zlib: () =>
+    Promise.all(Array.from({ length: TASKS }, () => gzip(GZIP_INPUT))),
+  fs: () =>
+    Promise.all(Array.from({ length: TASKS }, () => readFile(THIS_FILE))),
+};
+
+/**
+ * How long a single fs.readFile takes while TASKS pbkdf2 calls hold the pool
+ * @returns {Promise<number>} Milliseconds until the read finished
+ */
+async function fsBehindCrypto() {
+  const hashing = POOL_WORKLOADS.pbkdf2();
+  const started = performance.now();
+  await readFile(THIS_FILE);
+  const ms = performance.now() - started;
+  await hashing;
+  return round(ms);
+}
+
+export async function runPoolBenchmarks() {
+  const results = {};
+  for (const [name, workload] of Object.entries(POOL_WORKLOADS)) {
+    results[name] = await measure(workload);
+  }
+  return {
+    size: Number(process.env.UV_THREADPOOL_SIZE) || 4,
+    tasks: TASKS,
+    results,
+    fsBehindCryptoMs: await fsBehindCrypto(),
+  };
+}
+
+// Run directly (see the header comment); importing it has no side effects
+if (process.argv[1] && realpathSync(process.argv[1]) === THIS_FILE) {
+  runPoolBenchmarks().then(
+    (report) => process.stdout.write(`${JSON.stringify(report)}\n`),
+    (error) => {
+      console.error(error);
+      process.exitCode = 1;
+    },
+  );
+}
@@ -0,0 +1,14 @@
+/**
+ * Turn a monitorEventLoopDelay() reading into milliseconds of delay.
+ *
+ * The histogram samples every `resolutionMs`, so each sample includes that
+ * interval; only what goes beyond it is actual delay.
+ * @param {number} nanoseconds - E.g. the histogram's max or a percentile
+ * @param {number} resolutionMs - The resolution the histogram was created with
+ * @param {number} [decimals=1] - Decimal places to round to
+ */
+export function delayMs(nanoseconds, resolutionMs, decimals = 1) {
+  const ms = Math.max(nanoseconds / 1e6 - resolutionMs, 0);
+  const scale = 10 ** decimals;
+  return Math.round(ms * scale) / scale;
+}
@@ -0,0 +1,97 @@
+/**
+ * Shut an HTTP server down cleanly on SIGTERM / SIGINT:
+ *
+ *   1. mark the process as not ready (/readyz starts answering 503)
+ *   2. stop accepting connections and close idle keep-alive sockets
+ *   3. run the interrupt hooks (end event streams, kill child processes)
+ *   4. wait for in-flight requests, at most `timeoutMs`, then cut them off
+ *   5. run the cleanup hooks (flush logs, storage, ...)
+ *   6. exit
+ *
+ * A second signal while shutting down exits immediately.
+ *
+ * @param {import('node:http').Server} server
+ * @param {object} options
+ * @param {import('./health.mjs').HealthMonitor} [options.health]
+ * @param {number} [options.timeoutMs] - How long to wait for in-flight requests
+ * @param {Array<() => Promise<void> | void>} [options.interrupt] - Run in order
+ *   once the server stopped accepting connections, to end responses that
+ *   would otherwise stay open until the timeout
+ * @param {Array<() => Promise<void> | void>} [options.cleanup] - Run in order after the server closed
+ * @param {string} [options.name] - Used in log messages
+ */
+export function registerGracefulShutdown(
+  server,
+  {
+    health,
+    timeoutMs = 10_000,
+    interrupt = [],
+    cleanup = [],
+    name = 'server',
+  } = {},
+) {
+  let shuttingDown = false;
+  let inFlight = 0;
+
+  // A keep-alive connection whose response finishes during the shutdown
+  // stays open until it times out. Once no response is left, every
+  // connection is idle and can go.
+  server.on('request', (req, res) => {
+    inFlight++;
+    res.once('close', () => {
+      inFlight--;
+      if (shuttingDown && inFlight === 0) server.closeAllConnections();
+    });
+  });
+
+  async function runHooks(hooks) {
+    let failed = false;
+    for (const hook of hooks) {
+      try {
+        await hook();
+      } catch (error) {
+        console.error(`${name}: shutdown hook failed`, error);
+        failed = true;
+      }
+    }
+    return failed;
+  }
+
+  async function shutdown(signal) {
+    if (shuttingDown) {
+      console.error(`${name}: received ${signal} again, exiting now`);
+      process.exit(1);
+    }
+    shuttingDown = true;
+    console.log(`${name}: received ${signal}, shutting down`);
+
+    health?.markNotReady();
+    let exitCode = 0;
+
+    const closed = new Promise((resolve) => server.close(resolve));
+    server.closeIdleConnections();
+
+    const timer = setTimeout(() => {
+      console.error(
+        `${name}: requests still running after ${timeoutMs}ms, closing them`,
+      );
+      exitCode = 1;
+      server.closeAllConnections();
+    }, timeoutMs);
+    timer.unref();
+
+    if (await runHooks(interrupt)) exitCode = 1;
+
+    await closed;
+    clearTimeout(timer);
+
+    if (await runHooks(cleanup)) exitCode = 1;
+
+    health?.stop();
+    console.log(`${name}: shutdown complete`);
+    process.exit(exitCode);
+  }
+
+  process.on('SIGTERM', shutdown);
+  process.on('SIGINT', shutdown);
+}
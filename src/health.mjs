@@ -0,0 +1,90 @@
+import { monitorEventLoopDelay } from 'node:perf_hooks';
+import { delayMs } from './event-loop-delay.mjs';
+
+const RESOLUTION_MS = 20;
+// /healthz reports the event-loop delay over the last full window
+const DELAY_WINDOW_MS = 60_000;
+
+function summarizeDelay(histogram) {
+  const ms = (nanoseconds) => delayMs(nanoseconds, RESOLUTION_MS, 2);
+  return {
+    mean: ms(histogram.mean),
+    p50: ms(histogram.percentile(50)),
+    p99: ms(histogram.percentile(99)),
+    max: ms(histogram.max),
+  };
+}
+
+function bytesToMb(bytes) {
+  return Math.round((bytes / 1024 / 1024) * 10) / 10;
+}
+
+/**
+ * Tracks process health for the /healthz and /readyz endpoints.
+ *
+ * Liveness (/healthz) only says the process is up and responsive. Readiness
+ * (/readyz) is false until markReady() is called and again once shutdown
+ * begins, so a process manager or load balancer stops sending traffic.
+ */
+export class HealthMonitor {
+  #ready = false;
+  #eventLoopDelay = monitorEventLoopDelay({
+    resolution: RESOLUTION_MS,
+  });
+
+  #lastDelayWindow = null;
+  #windowTimer;
+
+  constructor() {
+    this.#eventLoopDelay.enable();
+    // Windows roll over on a timer rather than per report, so everyone
+    // polling /healthz sees the same numbers
+    this.#windowTimer = setInterval(() => {
+      this.#lastDelayWindow = summarizeDelay(this.#eventLoopDelay);
+      this.#eventLoopDelay.reset();
+    }, DELAY_WINDOW_MS).unref();
+  }
+
+  get ready() {
+    return this.#ready;
+  }
+
+  markReady() {
+    this.#ready = true;
+  }
+
+  markNotReady() {
+    this.#ready = false;
+  }
+
+  /**
+   * Snapshot of uptime, memory and the event-loop delay over the last
+   * minute (since start, until the first minute is over). Has no side
+   * effects, so any number of callers can poll it.
+   */
+  report() {
+    const memory = process.memoryUsage();
+    return {
+      status: 'ok',
+      ready: this.#ready,
+      uptimeSeconds: Math.round(process.uptime()),
+      memoryMb: {
+        rss: bytesToMb(memory.rss),
+        heapUsed: bytesToMb(memory.heapUsed),
+        heapTotal: bytesToMb(memory.heapTotal),
+        external: bytesToMb(memory.external),
+      },
+      eventLoopDelayMs:
+        this.#lastDelayWindow ?? summarizeDelay(this.#eventLoopDelay),
+    };
+  }
+
+  readiness() {
+    return { status: this.#ready ? 'ready' : 'not ready', ready: this.#ready };
+  }
+
+  stop() {
+    clearInterval(this.#windowTimer);
+    this.#eventLoopDelay.disable();
+  }
+}
@@ -0,0 +1,78 @@
+import { HttpError } from './errors.mjs';
+
+const ALLOWED_METHODS = 'GET, HEAD, POST, PUT, PATCH, DELETE';
+const ALLOWED_HEADERS = 'Content-Type, X-Request-Id';
+// Response headers the API sets that scripts on other origins may read
+const EXPOSED_HEADERS = [
+  'Location',
+  'Retry-After',
+  'RateLimit-Limit',
+  'RateLimit-Remaining',
+  'RateLimit-Reset',
+  'X-Request-Id',
+].join(', ');
+const PREFLIGHT_MAX_AGE_SECONDS = 600;
+
+// Add a field to the Vary header, keeping whatever earlier middleware put there
+function appendVary(res, field) {
+  const current = res.getHeader('Vary');
+  const fields = [current ?? []]
+    .flat()
+    .flatMap((value) => String(value).split(','))
+    .map((value) => value.trim())
+    .filter(Boolean);
+  if (fields.includes('*')) return;
+  if (fields.some((value) => value.toLowerCase() === field.toLowerCase())) {
+    return;
+  }
+  res.setHeader('Vary', [...fields, field].join(', '));
+}
+
+/**
+ * Middleware that lets pages on the configured origins call the API. Mount
+ * it on /api, before the routes: it answers preflight (OPTIONS) requests
+ * itself, with 204 for allowed origins and 403 CORS_ORIGIN_DENIED for the
+ * rest. Other requests from unknown origins still run, the browser just
+ * does not show the response to the calling script.
+ *
+ * @param {object} options
+ * @param {string[]} options.origins - From config.security.corsOrigins;
+ *   '*' allows any origin
+ */
+export function cors({ origins }) {
+  const anyOrigin = origins.includes('*');
+  const allowed = new Set(origins);
+
+  return (req, res, next) => {
+    const origin = req.headers.origin;
+    // Responses differ per Origin, so caches must key on it
+    if (!anyOrigin) appendVary(res, 'Origin');
+    if (!origin) return next();
+
+    const isAllowed = anyOrigin || allowed.has(origin);
+    if (isAllowed) {
+      res.setHeader('Access-Control-Allow-Origin', anyOrigin ? '*' : origin);
+      res.setHeader('Access-Control-Expose-Headers', EXPOSED_HEADERS);
+    }
+
+    const isPreflight =
+      req.method === 'OPTIONS' &&
+      req.headers['access-control-request-method'] !== undefined;
+    if (!isPreflight) return next();
+
+    if (!isAllowed) {
+      return next(
+        new HttpError(
+          403,
+          'CORS_ORIGIN_DENIED',
+          `Origin ${origin} may not call this API`,
+        ),
+      );
+    }
+    res.setHeader('Access-Control-Allow-Methods', ALLOWED_METHODS);
+    res.setHeader('Access-Control-Allow-Headers', ALLOWED_HEADERS);
+    res.setHeader('Access-Control-Max-Age', String(PREFLIGHT_MAX_AGE_SECONDS));
+    res.statusCode = 204;
+    res.end();
+  };
+}
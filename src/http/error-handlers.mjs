@@ -0,0 +1,84 @@
+import { HttpError, NotFoundError } from './errors.mjs';
+import { wantsHtml } from './negotiate.mjs';
+
+// body-parser reports its failures with a `type`; give them stable codes
+const BODY_PARSER_CODES = {
+  'entity.parse.failed': 'INVALID_JSON',
+  'entity.too.large': 'PAYLOAD_TOO_LARGE',
+  'encoding.unsupported': 'UNSUPPORTED_ENCODING',
+  'charset.unsupported': 'UNSUPPORTED_CHARSET',
+};
+
+/**
+ * Normalize anything thrown by a route or middleware into an HttpError;
+ * unexpected errors become a 500 that does not leak their message
+ */
+export function toHttpError(error) {
+  if (error instanceof HttpError) return error;
+
+  // Anything can be thrown, `throw null` and `throw 'oops'` included
+  const isObject = typeof error === 'object' && error !== null;
+  const status = isObject ? (error.status ?? error.statusCode) : undefined;
+  if (status >= 400 && status < 500) {
+    return new HttpError(
+      status,
+      BODY_PARSER_CODES[error.type] ?? 'BAD_REQUEST',
+      error.expose ? error.message : undefined,
+      { cause: error },
+    );
+  }
+  return new HttpError(
+    500,
+    'INTERNAL_ERROR',
+    'Something went wrong on our side',
+    { cause: error },
+  );
+}
+
+/**
+ * JSON body for an error response: { error: { code, message, fields? } }
+ * @param {HttpError} httpError
+ */
+export function errorEnvelope(httpError) {
+  return {
+    error: {
+      code: httpError.code,
+      message: httpError.message,
+      ...(httpError.fields && { fields: httpError.fields }),
+    },
+  };
+}
+
+/**
+ * Catch-all for requests no route handled; register after every route
+ */
+export function notFoundHandler(req, res, next) {
+  next(new NotFoundError(`Cannot ${req.method} ${req.path}`));
+}
+
+/**
+ * Turns any error into the JSON error envelope
+ *   { error: { code, message, fields? } }
+ * or the error page for browser routes. Register last.
+ */
+export function errorHandler(error, req, res, next) {
+  const httpError = toHttpError(error);
+
+  if (httpError.status >= 500) {
+    console.error(error);
+  }
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  res.status(httpError.status);
+
+  if (wantsHtml(req)) {
+    return res.render('pages/error', {
+      status: httpError.status,
+      message: httpError.message,
+    });
+  }
+
+  res.json(errorEnvelope(httpError));
+}
@@ -0,0 +1,40 @@
+import { STATUS_CODES } from 'node:http';
+
+/**
+ * An error that maps directly onto an HTTP response.
+ * The error handler turns it into { error: { code, message, fields } }.
+ */
+export class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} code - Stable, machine-readable error code
+   * @param {string} [message] - Human-readable message, defaults to the status text
+   * @param {object} [options]
+   * @param {object[]} [options.fields] - Per-field problems: { location, field, message }
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(status, code, message = STATUS_CODES[status], options = {}) {
+    super(message, { cause: options.cause });
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code;
+    this.fields = options.fields;
+  }
+}
+
+export class NotFoundError extends HttpError {
+  constructor(message = 'The requested resource was not found') {
+    super(404, 'NOT_FOUND', message);
+    this.name = 'NotFoundError';
+  }
+}
+
+export class ValidationError extends HttpError {
+  /**
+   * @param {object[]} fields - Per-field problems: { location, field, message }
+   */
+  constructor(fields, message = 'The request is invalid') {
+    super(400, 'VALIDATION_ERROR', message, { fields });
+    this.name = 'ValidationError';
+  }
+}
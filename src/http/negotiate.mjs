@@ -0,0 +1,103 @@
+// Content negotiation shared by both apps' error handlers. It follows the
+// rules of the `negotiator` package behind Express's req.accepts(), so the
+// two servers pick the same response type for the same Accept header.
+
+/**
+ * Parse an Accept header into media ranges. Ranges with parameters before
+ * q (e.g. "text/html;level=1") are dropped: they only match media types
+ * with the same parameters, and the types offered here have none.
+ * @param {string} header
+ * @returns {{type: string, subtype: string, q: number, order: number}[]}
+ */
+function parseAccept(header) {
+  const ranges = [];
+  header.split(',').forEach((part, order) => {
+    const [mediaRange, ...params] = part.split(';');
+    const [type, subtype, extra] = mediaRange.trim().toLowerCase().split('/');
+    if (!type || !subtype || extra !== undefined) return;
+
+    // An unreadable q is NaN, which makes the range unacceptable
+    let q = 1;
+    for (const param of params) {
+      const [name, value = ''] = param.split('=').map((piece) => piece.trim());
+      if (name.toLowerCase() === 'q') {
+        q = Number.parseFloat(value);
+        break;
+      }
+      if (value !== '*' && value !== '') return;
+    }
+    ranges.push({ type, subtype, q, order });
+  });
+  return ranges;
+}
+
+// How well the client accepts a media type: through its most specific
+// matching range, then the one with the higher q, then the one listed first.
+// Returns null when no range matches.
+function priority(mediaType, ranges) {
+  const [type, subtype] = mediaType.split('/');
+  let best = null;
+  for (const range of ranges) {
+    if (range.type !== '*' && range.type !== type) continue;
+    if (range.subtype !== '*' && range.subtype !== subtype) continue;
+
+    const match = {
+      specificity:
+        (range.type === type ? 2 : 0) + (range.subtype === subtype ? 1 : 0),
+      q: range.q,
+      order: range.order,
+    };
+    if (
+      !best ||
+      (match.specificity - best.specificity ||
+        match.q - best.q ||
+        best.order - match.order) > 0
+    ) {
+      best = match;
+    }
+  }
+  return best;
+}
+
+/**
+ * Pick the media type the client prefers, like req.accepts(types)
+ * @param {string | undefined} header - The Accept header
+ * @param {string[]} mediaTypes - What the server can send, best first
+ * @returns {string | false} One of `mediaTypes`, or false if none is acceptable
+ */
+export function preferredMediaType(header, mediaTypes) {
+  // No (or an empty) Accept header means anything goes
+  if (!header) return mediaTypes[0];
+  const ranges = parseAccept(header);
+
+  const acceptable = mediaTypes
+    .map((mediaType, index) => ({
+      mediaType,
+      index,
+      ...priority(mediaType, ranges),
+    }))
+    .filter((candidate) => candidate.q > 0);
+  acceptable.sort(
+    (a, b) =>
+      b.q - a.q ||
+      b.specificity - a.specificity ||
+      a.order - b.order ||
+      a.index - b.index,
+  );
+  return acceptable[0]?.mediaType ?? false;
+}
+
+/**
+ * Whether an error should be rendered as an HTML page rather than JSON:
+ * never under /api, and elsewhere only for clients that prefer HTML
+ * @param {{path: string, headers: object}} req
+ */
+export function wantsHtml(req) {
+  return (
+    !req.path.startsWith('/api/') &&
+    preferredMediaType(req.headers.accept, [
+      'application/json',
+      'text/html',
+    ]) === 'text/html'
+  );
+}
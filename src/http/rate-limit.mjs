@@ -0,0 +1,96 @@
+import { HttpError } from './errors.mjs';
+
+/**
+ * Counts requests per key (a client IP) in fixed windows, in memory.
+ *
+ * Counters live in this process only: they reset on restart and are not
+ * shared between instances. Expired counters are dropped at most once per
+ * window, as requests come in, so no timer keeps the process alive.
+ */
+export class RateLimiter {
+  #windowMs;
+  #max;
+  #now;
+  #counters = new Map();
+  #nextSweep = 0;
+
+  /**
+   * @param {object} options
+   * @param {number} options.windowMs - Length of a window
+   * @param {number} options.max - Requests allowed per key and window
+   * @param {() => number} [options.now] - Clock, for tests
+   */
+  constructor({ windowMs, max, now = Date.now }) {
+    this.#windowMs = windowMs;
+    this.#max = max;
+    this.#now = now;
+  }
+
+  get max() {
+    return this.#max;
+  }
+
+  /**
+   * Count one request for `key`
+   * @param {string} key
+   * @returns {{allowed: boolean, remaining: number, resetMs: number}}
+   *   `resetMs` is how long until the key's window ends
+   */
+  hit(key) {
+    const now = this.#now();
+    this.#sweep(now);
+
+    let counter = this.#counters.get(key);
+    if (!counter || counter.resetAt <= now) {
+      counter = { count: 0, resetAt: now + this.#windowMs };
+      this.#counters.set(key, counter);
+    }
+    counter.count++;
+
+    return {
+      allowed: counter.count <= this.#max,
+      remaining: Math.max(0, this.#max - counter.count),
+      resetMs: counter.resetAt - now,
+    };
+  }
+
+  #sweep(now) {
+    if (now < this.#nextSweep) return;
+    this.#nextSweep = now + this.#windowMs;
+    for (const [key, counter] of this.#counters) {
+      if (counter.resetAt <= now) this.#counters.delete(key);
+    }
+  }
+}
+
+/**
+ * Middleware that limits each client IP to `limiter.max` requests per
+ * window. Every response carries RateLimit-Limit, RateLimit-Remaining and
+ * RateLimit-Reset (seconds); once the limit is hit, requests fail with 429
+ * TOO_MANY_REQUESTS and a Retry-After header until the window ends.
+ *
+ * @param {RateLimiter} limiter
+ */
+export function rateLimit(limiter) {
+  return (req, res, next) => {
+    // req.ip honours Express's "trust proxy" setting; app.mjs has no proxy
+    // support and uses the socket address
+    const key = req.ip ?? req.socket.remoteAddress;
+    const { allowed, remaining, resetMs } = limiter.hit(key);
+    const resetSeconds = Math.ceil(resetMs / 1000);
+
+    res.setHeader('RateLimit-Limit', String(limiter.max));
+    res.setHeader('RateLimit-Remaining', String(remaining));
+    res.setHeader('RateLimit-Reset', String(resetSeconds));
+    if (allowed) return next();
+
+    res.setHeader('Retry-After', String(resetSeconds));
+    next(
+      new HttpError(
+        429,
+        'TOO_MANY_REQUESTS',
+        `Too many requests, try again in ${resetSeconds} seconds`,
+      ),
+    );
+  };
+}
@@ -0,0 +1,37 @@
+// Scripts come only from this origin: async-demo.html loads its code from
+// /js/*.mjs. Styles stay 'unsafe-inline' for the page's <style> block and the
+// colour legend's style attributes.
+const CONTENT_SECURITY_POLICY = [
+  "default-src 'self'",
+  "script-src 'self'",
+  "style-src 'self' 'unsafe-inline'",
+  "img-src 'self' data:",
+  "connect-src 'self'",
+  "object-src 'none'",
+  "base-uri 'self'",
+  "form-action 'self'",
+  "frame-ancestors 'none'",
+].join('; ');
+
+/**
+ * Middleware that sets the security headers on every response:
+ * Content-Security-Policy, X-Content-Type-Options and, unless `hstsMaxAge`
+ * is 0, Strict-Transport-Security. Browsers only honour HSTS over HTTPS, so
+ * it is harmless on plain-HTTP development servers.
+ *
+ * @param {object} options
+ * @param {number} options.hstsMaxAge - Seconds, from config.security
+ */
+export function securityHeaders({ hstsMaxAge }) {
+  return (req, res, next) => {
+    res.setHeader('Content-Security-Policy', CONTENT_SECURITY_POLICY);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    if (hstsMaxAge > 0) {
+      res.setHeader(
+        'Strict-Transport-Security',
+        `max-age=${hstsMaxAge}; includeSubDomains`,
+      );
+    }
+    next();
+  };
+}
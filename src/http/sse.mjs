@@ -0,0 +1,66 @@
+// Server-Sent Events on a plain ServerResponse, so both servers can use it
+
+// Comment lines that keep proxies from closing a quiet stream
+const HEARTBEAT_MS = 15_000;
+
+// Streams still open, for closeEventStreams()
+const openStreams = new Set();
+
+/**
+ * Start a text/event-stream response
+ * @param {import('node:http').IncomingMessage} req
+ * @param {import('node:http').ServerResponse} res
+ * @returns {{send: (event: string, data: any) => void, close: () => void, signal: AbortSignal}}
+ *   `signal` aborts when the client disconnects or the stream is closed
+ */
+export function openEventStream(req, res) {
+  const disconnected = new AbortController();
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stop nginx and similar proxies from buffering the events
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  const heartbeat = setInterval(
+    () => res.write(': heartbeat\n\n'),
+    HEARTBEAT_MS,
+  );
+  heartbeat.unref();
+
+  const stream = {
+    send(event, data) {
+      if (res.writableEnded) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      clearInterval(heartbeat);
+      res.end();
+    },
+    signal: disconnected.signal,
+  };
+  openStreams.add(stream);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    openStreams.delete(stream);
+    disconnected.abort();
+  });
+
+  return stream;
+}
+
+/**
+ * End every open stream with a `shutdown` event, for a server that is
+ * shutting down: the streams would otherwise keep it from closing. Clients
+ * should not reconnect after the event.
+ */
+export function closeEventStreams() {
+  for (const stream of openStreams) {
+    stream.send('shutdown', {});
+    stream.close();
+  }
+}
@@ -0,0 +1,174 @@
+import { ValidationError } from './errors.mjs';
+
+/*
+ * Schemas are plain objects mapping a field name to its rules:
+ *
+ *   {
+ *     artist: { type: 'string', required: true, maxLength: 200 },
+ *     limit: { type: 'integer', min: 1, max: 100, default: 20 },
+ *   }
+ *
+ * Supported rules: type ('string' | 'integer' | 'boolean'), required,
+ * default, minLength, maxLength, min, max, pattern, enum and check
+ * (a function returning an error message, or nothing when valid).
+ * Strings are trimmed; query string values are coerced to the declared type.
+ * Fields not in the schema are rejected.
+ */
+
+function coerce(value, type) {
+  if (type === 'integer' && typeof value === 'string' && value.trim() !== '') {
+    return Number(value);
+  }
+  if (type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+}
+
+function checkValue(value, rules) {
+  switch (rules.type) {
+    case 'string':
+      if (typeof value !== 'string') return 'must be a string';
+      if (rules.required && value === '') return 'is required';
+      if (rules.minLength !== undefined && value.length < rules.minLength) {
+        return `must be at least ${rules.minLength} characters`;
+      }
+      if (rules.maxLength !== undefined && value.length > rules.maxLength) {
+        return `must be at most ${rules.maxLength} characters`;
+      }
+      if (rules.pattern && !rules.pattern.test(value)) {
+        return rules.patternMessage ?? `must match ${rules.pattern}`;
+      }
+      break;
+    case 'integer':
+      if (!Number.isInteger(value)) return 'must be an integer';
+      if (rules.min !== undefined && value < rules.min) {
+        return `must be at least ${rules.min}`;
+      }
+      if (rules.max !== undefined && value > rules.max) {
+        return `must be at most ${rules.max}`;
+      }
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') return 'must be true or false';
+      break;
+  }
+
+  if (rules.enum && !rules.enum.includes(value)) {
+    return `must be one of: ${rules.enum.join(', ')}`;
+  }
+  return rules.check?.(value);
+}
+
+/**
+ * Validate one part of the request against a schema
+ * @param {object} input - req.body, req.params or req.query
+ * @param {object} schema - Field rules, see above
+ * @param {string} location - 'body' | 'params' | 'query', used in error reports
+ * @param {object} [options]
+ * @param {boolean} [options.partial] - Ignore `required` (e.g. for PATCH)
+ * @returns {{ value: object, errors: object[] }}
+ */
+export function validateAgainst(
+  input,
+  schema,
+  location,
+  { partial = false } = {},
+) {
+  const errors = [];
+  const value = {};
+
+  if (input === undefined || input === null) {
+    input = {};
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return {
+      value,
+      errors: [{ location, field: null, message: 'must be an object' }],
+    };
+  }
+
+  for (const field of Object.keys(input)) {
+    if (!Object.hasOwn(schema, field)) {
+      errors.push({ location, field, message: 'is not allowed' });
+    }
+  }
+
+  for (const [field, rules] of Object.entries(schema)) {
+    let fieldValue = coerce(input[field], rules.type);
+    if (typeof fieldValue === 'string') fieldValue = fieldValue.trim();
+
+    if (fieldValue === undefined || fieldValue === '') {
+      if (rules.required && !partial) {
+        errors.push({ location, field, message: 'is required' });
+      } else if (rules.default !== undefined && !partial) {
+        value[field] = rules.default;
+      }
+      continue;
+    }
+
+    const message = checkValue(fieldValue, rules);
+    if (message) {
+      errors.push({ location, field, message });
+    } else {
+      value[field] = fieldValue;
+    }
+  }
+
+  return { value, errors };
+}
+
+/**
+ * Middleware that validates req.body, req.params and/or req.query.
+ * The cleaned values are stored on req.valid.{body,params,query};
+ * on failure a ValidationError listing every problem is passed to next().
+ *
+ * @param {object} schemas
+ * @param {object} [schemas.body]
+ * @param {object} [schemas.params]
+ * @param {object} [schemas.query]
+ * @param {object} [options]
+ * @param {boolean} [options.partial] - Body fields are all optional, but at least one is needed
+ * @param {Function} [options.check] - Cross-field check, called with req.valid
+ *   once every field passed; returns a list of problems (empty when valid)
+ */
+export function validate(schemas, { partial = false, check } = {}) {
+  return (req, res, next) => {
+    const errors = [];
+    req.valid = {};
+
+    for (const location of ['params', 'query', 'body']) {
+      if (!schemas[location]) continue;
+
+      const result = validateAgainst(
+        req[location],
+        schemas[location],
+        location,
+        {
+          partial: partial && location === 'body',
+        },
+      );
+      req.valid[location] = result.value;
+      errors.push(...result.errors);
+    }
+
+    if (
+      partial &&
+      schemas.body &&
+      errors.length === 0 &&
+      Object.keys(req.valid.body).length === 0
+    ) {
+      errors.push({
+        location: 'body',
+        field: null,
+        message: `must contain at least one of: ${Object.keys(schemas.body).join(', ')}`,
+      });
+    }
+
+    if (check && errors.length === 0) {
+      errors.push(...check(req.valid));
+    }
+
+    next(errors.length > 0 ? new ValidationError(errors) : undefined);
+  };
+}
@@ -0,0 +1,159 @@
+import { randomUUID } from 'node:crypto';
+import { appendFile, mkdir, rename, rm, stat } from 'node:fs/promises';
+import { dirname, extname } from 'node:path';
+
+/**
+ * Path of the nth rotated file: requests.jsonl -> requests.1.jsonl
+ * @param {string} filePath - Path of the live log file
+ * @param {number} index - 1 is the newest rotated file
+ */
+export function rotatedPath(filePath, index) {
+  const extension = extname(filePath);
+  return `${filePath.slice(0, filePath.length - extension.length)}.${index}${extension}`;
+}
+
+/**
+ * Appends one JSON object per line to a log file.
+ *
+ * Writes are queued and run one at a time, so lines never interleave. When
+ * the file grows past `maxBytes` it is renamed to .1, the previous .1 to .2
+ * and so on; at most `maxFiles` rotated files are kept.
+ */
+export class JsonLinesLog {
+  #writeQueue = Promise.resolve();
+  #size = null;
+
+  /**
+   * @param {string} filePath - Absolute path of the log file
+   * @param {object} [options]
+   * @param {number} [options.maxBytes] - Rotate once the file is this big
+   * @param {number} [options.maxFiles] - Rotated files to keep
+   */
+  constructor(filePath, { maxBytes = 5 * 1024 * 1024, maxFiles = 5 } = {}) {
+    this.filePath = filePath;
+    this.maxBytes = maxBytes;
+    this.maxFiles = maxFiles;
+  }
+
+  /**
+   * Queue one entry; resolves once it is appended
+   * @param {object} entry - Anything JSON.stringify can handle
+   */
+  write(entry) {
+    const line = `${JSON.stringify(entry)}\n`;
+    const write = this.#writeQueue.then(() => this.#append(line));
+
+    // A failed write must not stop the ones queued after it
+    this.#writeQueue = write.catch((error) => {
+      console.error(`Could not write to ${this.filePath}:`, error);
+    });
+    return write;
+  }
+
+  /**
+   * Resolves once every queued entry has been written
+   */
+  flush() {
+    return this.#writeQueue;
+  }
+
+  async #append(line) {
+    if (this.#size === null) {
+      await mkdir(dirname(this.filePath), { recursive: true });
+      this.#size = await stat(this.filePath).then(
+        (stats) => stats.size,
+        () => 0,
+      );
+    }
+
+    const bytes = Buffer.byteLength(line);
+    if (this.#size > 0 && this.#size + bytes > this.maxBytes) {
+      await this.#rotate();
+    }
+
+    await appendFile(this.filePath, line, 'utf8');
+    this.#size += bytes;
+  }
+
+  async #rotate() {
+    await rm(rotatedPath(this.filePath, this.maxFiles), { force: true });
+    for (let index = this.maxFiles - 1; index >= 1; index--) {
+      await rename(
+        rotatedPath(this.filePath, index),
+        rotatedPath(this.filePath, index + 1),
+      ).catch((error) => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+    }
+    await rename(this.filePath, rotatedPath(this.filePath, 1));
+    this.#size = 0;
+  }
+}
+
+/**
+ * Middleware that writes one access log entry per request:
+ *   { time, id, method, path, query?, status, durationMs, bytes, aborted? }
+ *
+ * Every request gets an id (the incoming X-Request-Id header when present),
+ * exposed as req.id and echoed back in the X-Request-Id response header.
+ *
+ * @param {JsonLinesLog} log - Where the entries go
+ */
+export function accessLogger(log) {
+  return (req, res, next) => {
+    const start = process.hrtime.bigint();
+    // Express rewrites req.url inside mounted routers, originalUrl is stable
+    const url = req.originalUrl ?? req.url;
+    let bytes = 0;
+
+    req.id = req.headers['x-request-id']?.slice(0, 100) || randomUUID();
+    res.setHeader('X-Request-Id', req.id);
+
+    // Count what is actually sent, whether or not Content-Length was set
+    const { write, end } = res;
+    res.write = function (chunk, encoding, ...rest) {
+      bytes += chunkLength(chunk, encoding);
+      return write.call(this, chunk, encoding, ...rest);
+    };
+    res.end = function (chunk, encoding, ...rest) {
+      bytes += chunkLength(chunk, encoding);
+      return end.call(this, chunk, encoding, ...rest);
+    };
+
+    let logged = false;
+    function logRequest() {
+      if (logged) return;
+      logged = true;
+
+      const [path, query] = url.split('?');
+      const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+
+      log.write({
+        time: new Date().toISOString(),
+        id: req.id,
+        method: req.method,
+        path,
+        ...(query && { query }),
+        status: res.headersSent ? res.statusCode : null,
+        durationMs: Math.round(durationMs * 1000) / 1000,
+        bytes,
+        ...(!res.writableFinished && { aborted: true }),
+      });
+    }
+
+    res.on('finish', logRequest);
+    res.on('close', logRequest);
+    next();
+  };
+}
+
+function chunkLength(chunk, encoding) {
+  if (!chunk || typeof chunk === 'function') return 0;
+  if (typeof chunk === 'string') {
+    return Buffer.byteLength(
+      chunk,
+      typeof encoding === 'string' ? encoding : 'utf8',
+    );
+  }
+  return chunk.length;
+}
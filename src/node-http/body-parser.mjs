@@ -0,0 +1,89 @@
+import { HttpError } from '../http/errors.mjs';
+import { searchParamsToObject } from './search-params.mjs';
+
+const BODY_METHODS = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+// Like express.json()'s strict mode: only objects and arrays are bodies
+const JSON_BODY_START = /^[\t\n\r ]*[[{]/;
+
+function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const declaredLength = Number(req.headers['content-length']);
+    if (declaredLength > limit) {
+      req.resume();
+      return reject(
+        new HttpError(
+          413,
+          'PAYLOAD_TOO_LARGE',
+          `Body is larger than ${limit} bytes`,
+        ),
+      );
+    }
+
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        req.removeAllListeners('data');
+        req.resume();
+        reject(
+          new HttpError(
+            413,
+            'PAYLOAD_TOO_LARGE',
+            `Body is larger than ${limit} bytes`,
+          ),
+        );
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Middleware that parses JSON and URL-encoded form bodies into req.body.
+ * Other content types are left unread and req.body stays undefined, like
+ * express.json() / express.urlencoded().
+ *
+ * @param {object} [options]
+ * @param {number} [options.limit] - Maximum body size in bytes
+ */
+export function parseBody({ limit = 100 * 1024 } = {}) {
+  return async (req, res, next) => {
+    const contentType = (req.headers['content-type'] ?? '')
+      .split(';')[0]
+      .trim()
+      .toLowerCase();
+    const isJson = contentType === 'application/json';
+    const isForm = contentType === 'application/x-www-form-urlencoded';
+
+    if (!BODY_METHODS.has(req.method) || (!isJson && !isForm)) {
+      return next();
+    }
+
+    const text = await readBody(req, limit);
+    if (text === '') return next();
+
+    if (isForm) {
+      req.body = searchParamsToObject(new URLSearchParams(text));
+      return next();
+    }
+
+    if (!JSON_BODY_START.test(text)) {
+      throw new HttpError(
+        400,
+        'INVALID_JSON',
+        'JSON body must be an object or an array',
+      );
+    }
+    try {
+      req.body = JSON.parse(text);
+    } catch (error) {
+      throw new HttpError(400, 'INVALID_JSON', error.message, { cause: error });
+    }
+    next();
+  };
+}
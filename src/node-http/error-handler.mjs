@@ -0,0 +1,30 @@
+import { errorEnvelope, toHttpError } from '../http/error-handlers.mjs';
+import { wantsHtml } from '../http/negotiate.mjs';
+import errorPage from '../views/pages/error.mjs';
+import { sendHtml, sendJson } from './respond.mjs';
+
+/**
+ * onError for the Router: answers with the same JSON error envelope and
+ * HTML error page as the Express app's errorHandler
+ */
+export function handleError(error, req, res) {
+  const httpError = toHttpError(error);
+
+  if (httpError.status >= 500) {
+    console.error(error);
+  }
+  if (res.headersSent) {
+    // Too late for an error response (e.g. a file stream broke mid-way)
+    res.destroy();
+    return;
+  }
+
+  if (wantsHtml(req)) {
+    return sendHtml(
+      res,
+      httpError.status,
+      errorPage({ status: httpError.status, message: httpError.message }),
+    );
+  }
+  sendJson(res, httpError.status, errorEnvelope(httpError));
+}
@@ -0,0 +1,27 @@
+// Response helpers for the plain node:http server (app.mjs)
+
+export function send(res, status, body, contentType) {
+  const payload = Buffer.from(body);
+  res.writeHead(status, {
+    'Content-Type': contentType,
+    'Content-Length': payload.length,
+  });
+  res.end(res.req.method === 'HEAD' ? undefined : payload);
+}
+
+export function sendJson(res, status, body) {
+  send(res, status, JSON.stringify(body), 'application/json; charset=utf-8');
+}
+
+export function sendHtml(res, status, html) {
+  send(res, status, String(html), 'text/html; charset=utf-8');
+}
+
+export function sendText(res, status, text) {
+  send(res, status, text, 'text/plain; charset=utf-8');
+}
+
+export function sendEmpty(res, status, headers = {}) {
+  res.writeHead(status, headers);
+  res.end();
+}
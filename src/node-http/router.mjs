@@ -0,0 +1,205 @@
+import { HttpError, NotFoundError } from '../http/errors.mjs';
+import { searchParamsToObject } from './search-params.mjs';
+
+/**
+ * Turn '/api/concerts/:id' into a regex with named groups
+ * @param {string} path - Route path, ':name' segments become params
+ */
+function compilePath(path) {
+  const pattern = path
+    .split('/')
+    .map((segment) =>
+      segment.startsWith(':')
+        ? `(?<${segment.slice(1)}>[^/]+)`
+        : segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'),
+    )
+    .join('/');
+  return new RegExp(`^${pattern}/?$`);
+}
+
+function decodeParams(groups = {}) {
+  const params = {};
+  for (const [name, value] of Object.entries(groups)) {
+    try {
+      params[name] = decodeURIComponent(value);
+    } catch {
+      throw new HttpError(
+        400,
+        'BAD_REQUEST',
+        `Malformed URL parameter: ${name}`,
+      );
+    }
+  }
+  return params;
+}
+
+// For errors the router cannot hand to onError (or that onError throws):
+// nothing may escape to the server's 'request' event, or a rejected
+// promise, where it would crash the process
+function lastResort(error, res) {
+  console.error(error);
+  if (res.headersSent) {
+    res.destroy();
+  } else {
+    res.statusCode = 500;
+    res.end();
+  }
+}
+
+/**
+ * A small Express-style router for node:http.
+ *
+ * Handlers receive (req, res, next) and run in registration order: call
+ * next() to continue, next(error) or throw (sync or async) to skip to the
+ * error handler. Before the first handler runs, the router sets req.path,
+ * req.query and, per route, req.params.
+ *
+ * @example
+ * const router = new Router({ onError: (error, req, res) => ... });
+ * router.get('/concerts/:id', (req, res) => sendJson(res, 200, req.params));
+ * createServer(router.handler()).listen(3000);
+ */
+export class Router {
+  #layers = [];
+  #onError;
+
+  /**
+   * @param {object} options
+   * @param {(error: Error, req, res) => void} options.onError - Renders errors,
+   *   including the 404 the router raises itself
+   */
+  constructor({ onError }) {
+    this.#onError = onError;
+  }
+
+  /**
+   * Middleware that runs for every request (optionally under a path prefix)
+   */
+  use(prefixOrHandler, ...handlers) {
+    const prefix = typeof prefixOrHandler === 'string' ? prefixOrHandler : '';
+    if (typeof prefixOrHandler === 'function')
+      handlers.unshift(prefixOrHandler);
+
+    for (const handler of handlers) {
+      this.#layers.push({
+        method: null,
+        match: (path) =>
+          path === prefix || path.startsWith(`${prefix}/`) || prefix === ''
+            ? {}
+            : null,
+        handler,
+      });
+    }
+    return this;
+  }
+
+  get(path, ...handlers) {
+    return this.#route('GET', path, handlers);
+  }
+
+  post(path, ...handlers) {
+    return this.#route('POST', path, handlers);
+  }
+
+  put(path, ...handlers) {
+    return this.#route('PUT', path, handlers);
+  }
+
+  patch(path, ...handlers) {
+    return this.#route('PATCH', path, handlers);
+  }
+
+  delete(path, ...handlers) {
+    return this.#route('DELETE', path, handlers);
+  }
+
+  #route(method, path, handlers) {
+    const regex = compilePath(path);
+    for (const handler of handlers) {
+      this.#layers.push({
+        method,
+        match: (requestPath) => {
+          const match = regex.exec(requestPath);
+          return match ? decodeParams(match.groups) : null;
+        },
+        handler,
+      });
+    }
+    return this;
+  }
+
+  /**
+   * The (req, res) request listener for http.createServer()
+   */
+  handler() {
+    return (req, res) => this.handle(req, res);
+  }
+
+  handle(req, res) {
+    try {
+      this.#dispatch(req, res);
+    } catch (error) {
+      lastResort(error, res);
+    }
+  }
+
+  #dispatch(req, res) {
+    let index = 0;
+    let failed = false;
+
+    const fail = (error) => {
+      if (failed) return;
+      failed = true;
+      try {
+        this.#onError(error, req, res);
+      } catch (onErrorError) {
+        lastResort(onErrorError, res);
+      }
+    };
+
+    let url;
+    try {
+      url = new URL(req.url, 'http://localhost');
+    } catch {
+      // e.g. "GET http://[ HTTP/1.1"
+      req.path = '/';
+      req.query = {};
+      return fail(new HttpError(400, 'BAD_REQUEST', 'Malformed request URL'));
+    }
+    req.path = url.pathname;
+    req.query = searchParamsToObject(url.searchParams);
+
+    const next = (error) => {
+      if (error) return fail(error);
+
+      while (index < this.#layers.length) {
+        const layer = this.#layers[index++];
+        let params;
+        try {
+          params = layer.match(req.path);
+        } catch (matchError) {
+          return fail(matchError);
+        }
+        if (!params) continue;
+
+        // HEAD is answered by GET routes (respond.mjs drops the body)
+        const method = req.method === 'HEAD' ? 'GET' : req.method;
+        if (layer.method && layer.method !== method) continue;
+
+        if (layer.method) req.params = params;
+        try {
+          const result = layer.handler(req, res, next);
+          if (typeof result?.then === 'function') result.then(undefined, fail);
+        } catch (handlerError) {
+          fail(handlerError);
+        }
+        return;
+      }
+
+      // A path without a route for this method is a 404, as in Express
+      fail(new NotFoundError(`Cannot ${req.method} ${req.path}`));
+    };
+
+    next();
+  }
+}
@@ -0,0 +1,15 @@
+/**
+ * URLSearchParams as a plain object, the way Express's default query parser
+ * and express.urlencoded({ extended: false }) build it: a string per key, or
+ * an array of strings when the key repeats
+ * @param {URLSearchParams} searchParams
+ * @returns {Record<string, string | string[]>}
+ */
+export function searchParamsToObject(searchParams) {
+  const object = {};
+  for (const key of new Set(searchParams.keys())) {
+    const values = searchParams.getAll(key);
+    object[key] = values.length > 1 ? values : values[0];
+  }
+  return object;
+}
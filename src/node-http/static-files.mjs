@@ -0,0 +1,150 @@
+import { createReadStream } from 'node:fs';
+import { stat } from 'node:fs/promises';
+import { extname, join, resolve, sep } from 'node:path';
+import { pipeline } from 'node:stream/promises';
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.mp3': 'audio/mpeg',
+  '.mp4': 'video/mp4',
+  '.pdf': 'application/pdf',
+};
+
+async function findFile(filePath) {
+  try {
+    const stats = await stat(filePath);
+    if (stats.isFile()) return { filePath, stats };
+    if (stats.isDirectory()) return findFile(join(filePath, 'index.html'));
+  } catch (error) {
+    if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') throw error;
+  }
+  return null;
+}
+
+function isNotModified(req, etag, mtime) {
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (ifNoneMatch) {
+    return ifNoneMatch
+      .split(',')
+      .some((tag) => tag.trim() === etag || tag.trim() === '*');
+  }
+  const ifModifiedSince = Date.parse(req.headers['if-modified-since']);
+  // HTTP dates have one-second precision
+  return ifModifiedSince >= Math.floor(mtime.getTime() / 1000) * 1000;
+}
+
+/**
+ * Parse a single "bytes=" range. Multiple ranges are not supported, so they
+ * (and anything malformed) are ignored and the whole file is sent.
+ * @returns {{ start: number, end: number } | 'unsatisfiable' | null}
+ */
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header?.trim() ?? '');
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    // "bytes=-500" is the last 500 bytes
+    start = Math.max(size - Number(match[2]), 0);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+
+  if (start > end || start >= size) return 'unsatisfiable';
+  return { start, end };
+}
+
+/**
+ * Middleware serving files from `root` for GET and HEAD requests, with
+ * MIME types, ETag / Last-Modified revalidation (304) and byte ranges (206).
+ * Requests for files that don't exist fall through to the next handler.
+ *
+ * @param {string} root - Absolute path of the folder to serve
+ * @param {object} [options]
+ * @param {number} [options.maxAge] - Cache-Control max-age in seconds
+ */
+export function serveStatic(root, { maxAge = 0 } = {}) {
+  const rootDir = resolve(root);
+
+  return async (req, res, next) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+
+    let relativePath;
+    try {
+      relativePath = decodeURIComponent(req.path);
+    } catch {
+      return next();
+    }
+
+    // Never serve anything outside the root, e.g. /../package.json
+    const requested = resolve(rootDir, `.${relativePath}`);
+    if (requested !== rootDir && !requested.startsWith(rootDir + sep)) {
+      return next();
+    }
+    if (relativePath.includes('\0')) return next();
+
+    const file = await findFile(requested);
+    if (!file) return next();
+
+    const { filePath, stats } = file;
+    const etag = `W/"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+
+    res.setHeader('ETag', etag);
+    res.setHeader('Last-Modified', stats.mtime.toUTCString());
+    res.setHeader('Cache-Control', `public, max-age=${maxAge}`);
+    res.setHeader('Accept-Ranges', 'bytes');
+
+    if (isNotModified(req, etag, stats.mtime)) {
+      res.writeHead(304);
+      return res.end();
+    }
+
+    res.setHeader(
+      'Content-Type',
+      MIME_TYPES[extname(filePath).toLowerCase()] ?? 'application/octet-stream',
+    );
+
+    // If-Range: only honour the range when the client's copy is current
+    const ifRange = req.headers['if-range'];
+    const range =
+      !ifRange || ifRange === etag
+        ? parseRange(req.headers.range, stats.size)
+        : null;
+
+    if (range === 'unsatisfiable') {
+      res.writeHead(416, { 'Content-Range': `bytes */${stats.size}` });
+      return res.end();
+    }
+
+    const { start, end } = range ?? { start: 0, end: stats.size - 1 };
+    if (range) {
+      res.statusCode = 206;
+      res.setHeader('Content-Range', `bytes ${start}-${end}/${stats.size}`);
+    } else {
+      res.statusCode = 200;
+    }
+    res.setHeader('Content-Length', Math.max(end - start + 1, 0));
+
+    if (req.method === 'HEAD' || stats.size === 0) {
+      return res.end();
+    }
+    await pipeline(createReadStream(filePath, { start, end }), res);
+  };
+}
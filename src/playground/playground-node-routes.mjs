@@ -0,0 +1,34 @@
+import { HttpError } from '../http/errors.mjs';
+import { validate } from '../http/validate.mjs';
+import { sendJson } from '../node-http/respond.mjs';
+import { playgroundBodySchema } from './playground-schemas.mjs';
+
+/**
+ * POST /api/playground for the plain node:http server (app.mjs);
+ * mirrors createPlaygroundRouter() in playground-router.mjs
+ * @param {import('../node-http/router.mjs').Router} router
+ * @param {import('./playground-runner.mjs').PlaygroundRunner} runner
+ * @param {string} [basePath]
+ */
+export function registerPlaygroundRoutes(
+  router,
+  runner,
+  basePath = '/api/playground',
+) {
+  router.post(
+    basePath,
+    validate({ body: playgroundBodySchema }),
+    async (req, res) => {
+      if (runner.busy) {
+        res.setHeader('Retry-After', '2');
+        throw new HttpError(
+          503,
+          'TOO_MANY_RUNS',
+          'Too many snippets are running, try again shortly',
+        );
+      }
+      const result = await runner.run(req.valid.body.code);
+      sendJson(res, 200, { data: result });
+    },
+  );
+}
@@ -0,0 +1,32 @@
+import { Router } from 'express';
+import { HttpError } from '../http/errors.mjs';
+import { validate } from '../http/validate.mjs';
+import { playgroundBodySchema } from './playground-schemas.mjs';
+
+/**
+ * Runs snippets from the async-demo.html playground, mounted at
+ * /api/playground. Responds with { data: result }, see PlaygroundRunner#run.
+ * @param {import('./playground-runner.mjs').PlaygroundRunner} runner
+ */
+export function createPlaygroundRouter(runner) {
+  const router = Router();
+
+  router.post(
+    '/',
+    validate({ body: playgroundBodySchema }),
+    async (req, res) => {
+      if (runner.busy) {
+        res.set('Retry-After', '2');
+        throw new HttpError(
+          503,
+          'TOO_MANY_RUNS',
+          'Too many snippets are running, try again shortly',
+        );
+      }
+      const result = await runner.run(req.valid.body.code);
+      res.status(200).json({ data: result });
+    },
+  );
+
+  return router;
+}
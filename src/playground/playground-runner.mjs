@@ -0,0 +1,175 @@
+import { spawn } from 'node:child_process';
+import { readFile } from 'node:fs/promises';
+
+const SANDBOX_FILE = new URL('./playground-sandbox.mjs', import.meta.url);
+const TRACER_FILE = new URL('../demos/async-tracer.mjs', import.meta.url);
+
+const SHUTDOWN_ERROR = Object.freeze({
+  name: 'Error',
+  message: 'The server shut down before the snippet finished',
+});
+
+let sandboxSources = null;
+
+// The sandbox process may not read files, so it gets its program as source
+// and the tracer module as a data: URL (see playground-sandbox.mjs)
+function loadSandboxSources() {
+  sandboxSources ??= Promise.all([
+    readFile(SANDBOX_FILE, 'utf8'),
+    readFile(TRACER_FILE, 'utf8'),
+  ]).then(([program, tracer]) => ({
+    program,
+    tracerUrl: `data:text/javascript;base64,${Buffer.from(tracer).toString('base64')}`,
+  }));
+  return sandboxSources;
+}
+
+/**
+ * Runs code snippets from the async-demo.html playground.
+ *
+ * Each snippet gets its own child process with a small heap, under Node's
+ * permission model with no file system, child process or worker access.
+ * Inside it, the snippet runs in a vm context without require or fs (see
+ * playground-sandbox.mjs). The process is killed once the time limit is up,
+ * which also stops snippets that never finish, such as an endless
+ * setInterval or a busy loop in a callback.
+ */
+export class PlaygroundRunner {
+  #timeoutMs;
+  #memoryMb;
+  #maxRuns;
+  #maxEntries;
+  #running = 0;
+  #children = new Set();
+  #stopped = false;
+
+  /**
+   * @param {object} [options]
+   * @param {number} [options.timeoutMs=2000] - Wall-clock limit per snippet
+   * @param {number} [options.memoryMb=32] - Heap limit per snippet
+   * @param {number} [options.maxRuns=2] - Snippets allowed to run at once
+   * @param {number} [options.maxEntries=200] - Output lines kept per snippet
+   */
+  constructor({
+    timeoutMs = 2000,
+    memoryMb = 32,
+    maxRuns = 2,
+    maxEntries = 200,
+  } = {}) {
+    this.#timeoutMs = timeoutMs;
+    this.#memoryMb = memoryMb;
+    this.#maxRuns = maxRuns;
+    this.#maxEntries = maxEntries;
+  }
+
+  /** True while every run slot is taken */
+  get busy() {
+    return this.#running >= this.#maxRuns;
+  }
+
+  /**
+   * Kill every running snippet and refuse new ones, for a server that is
+   * shutting down. Their results report the shutdown as the error.
+   */
+  stop() {
+    this.#stopped = true;
+    for (const child of this.#children) child.kill('SIGKILL');
+  }
+
+  /**
+   * Run a snippet until its event loop is empty, it throws, or the limit
+   * is up. Errors in the snippet are part of the result, never thrown.
+   * @param {string} code
+   * @returns {Promise<{output: object[], error: {name: string, message: string}|null, timedOut: boolean, truncated: boolean, durationMs: number}>}
+   *   `output` holds one { seq, level, phase, text, elapsedMs } entry per
+   *   console call, in the order they ran
+   */
+  async run(code) {
+    this.#running++;
+    try {
+      return await this.#runInSandbox(code);
+    } finally {
+      this.#running--;
+    }
+  }
+
+  async #runInSandbox(code) {
+    const started = performance.now();
+    const result = {
+      output: [],
+      error: null,
+      timedOut: false,
+      truncated: false,
+      durationMs: 0,
+    };
+
+    const { program, tracerUrl } = await loadSandboxSources();
+    if (this.#stopped) {
+      result.error = SHUTDOWN_ERROR;
+      return result;
+    }
+    const options = {
+      code,
+      syncTimeoutMs: this.#timeoutMs,
+      maxEntries: this.#maxEntries,
+      maxEntryLength: 1000,
+    };
+    const child = spawn(
+      process.execPath,
+      [
+        // No --allow-* flags: no file system, child processes or workers
+        '--experimental-permission',
+        '--disable-warning=ExperimentalWarning',
+        `--max-old-space-size=${this.#memoryMb}`,
+        '--input-type=module',
+        '--eval',
+        program,
+        tracerUrl,
+        JSON.stringify(options),
+      ],
+      { env: {}, stdio: ['ignore', 'ignore', 'pipe', 'ipc'] },
+    );
+    this.#children.add(child);
+
+    // Only kept to tell a crash from running out of memory
+    let stderr = '';
+    child.stderr.setEncoding('utf8');
+    child.stderr.on('data', (chunk) => {
+      stderr = (stderr + chunk).slice(-2000);
+    });
+
+    child.on('message', (message) => {
+      if (message.type === 'log') result.output.push(message.entry);
+      if (message.type === 'truncated') result.truncated = true;
+      if (message.type === 'error') result.error = message.error;
+    });
+
+    const timer = setTimeout(() => {
+      result.timedOut = true;
+      child.kill('SIGKILL');
+    }, this.#timeoutMs);
+
+    try {
+      const exitCode = await new Promise((resolve) => {
+        child.once('error', () => resolve(null));
+        child.once('close', resolve);
+      });
+      if (exitCode !== 0 && !result.error && !result.timedOut) {
+        result.error = this.#stopped ? SHUTDOWN_ERROR : describeCrash(stderr);
+      }
+    } finally {
+      clearTimeout(timer);
+      this.#children.delete(child);
+    }
+
+    result.durationMs = Math.round(performance.now() - started);
+    return result;
+  }
+}
+
+function describeCrash(stderr) {
+  if (/heap limit|heap out of memory/i.test(stderr)) {
+    return { name: 'RangeError', message: 'The snippet ran out of memory' };
+  }
+  return { name: 'Error', message: 'The snippet stopped unexpectedly' };
+}
@@ -0,0 +1,211 @@
+import { performance } from 'node:perf_hooks';
+import { createContext, runInContext } from 'node:vm';
+
+/*
+ * Runs one playground snippet (see playground-runner.mjs) in a vm context.
+ *
+ * This is the program of a child process that runs under Node's permission
+ * model without any grants: it cannot read or write files, spawn processes
+ * or start workers. That is also why it cannot import files. The runner
+ * passes this source with -e, and the tracer as a data: URL in argv[1].
+ * The options come as JSON in argv[2], and results go back over IPC.
+ *
+ * The context gets console, timers, setImmediate, queueMicrotask and
+ * process.nextTick, and nothing else: no require, import, process.env or
+ * fs. Only primitives cross between the context and this module (strings
+ * for output, numbers for timer handles). Every conversion happens inside
+ * the context, and whatever a host function throws is replaced by an error
+ * of the context's own. So snippet code never gets hold of an object, and
+ * through its constructor a Function, from this realm. vm is not a security
+ * boundary on its own, which is what the permission model is for.
+ * Every console call is posted back with the phase async_hooks saw it run in.
+ */
+
+const { AsyncTracer } = await import(process.argv[1]);
+const { code, syncTimeoutMs, maxEntries, maxEntryLength } = JSON.parse(
+  process.argv[2],
+);
+
+// The IPC channel must not keep the process alive once the snippet is done
+process.channel.unref();
+
+const tracer = new AsyncTracer().enable();
+const started = performance.now();
+let seq = 0;
+
+function post(message, callback) {
+  // Posting creates async resources of its own
+  tracer.untraced(() => process.send(message, callback));
+}
+
+function log(level, text) {
+  if (seq >= maxEntries) return;
+  seq++;
+  post({
+    type: 'log',
+    entry: {
+      seq,
+      level,
+      phase: tracer.current()?.phase ?? 'sync',
+      text: text.slice(0, maxEntryLength),
+      elapsedMs: Math.round((performance.now() - started) * 10) / 10,
+    },
+  });
+  if (seq === maxEntries) {
+    post({ type: 'truncated' });
+  }
+}
+
+// Anything the snippet throws comes from the context. Reading it may run
+// snippet code (getters, toString), which is fine: it runs in the context.
+function describeError(error) {
+  if (error?.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+    return {
+      name: 'TimeoutError',
+      message: 'The synchronous part of the snippet ran too long',
+    };
+  }
+  try {
+    return {
+      name: String(error?.name ?? 'Error'),
+      message: String(error?.message ?? error),
+    };
+  } catch {
+    return { name: 'Error', message: 'The snippet threw an unreadable value' };
+  }
+}
+
+// Like an uncaught error in a worker: report it and stop
+process.on('uncaughtException', (error) => {
+  post({ type: 'error', error: describeError(error) }, () => process.exit(1));
+});
+
+const timers = new Map();
+let nextTimerId = 1;
+
+// Snippets get a number instead of the Timeout/Immediate object
+function schedule(create, clear, callback, ms) {
+  const id = nextTimerId++;
+  const handle = create(() => {
+    if (create !== setInterval) timers.delete(id);
+    callback();
+  }, ms);
+  timers.set(id, { handle, clear });
+  return id;
+}
+
+function cancel(id) {
+  const timer = timers.get(id);
+  if (!timer) return;
+  timers.delete(id);
+  timer.clear(timer.handle);
+}
+
+// SETUP has already turned every argument into a primitive of the right type
+const host = {
+  log: (level, text) => log(level, text),
+  setTimeout: (callback, ms) =>
+    schedule(setTimeout, clearTimeout, callback, ms),
+  setInterval: (callback, ms) =>
+    schedule(setInterval, clearInterval, callback, ms),
+  setImmediate: (callback) => schedule(setImmediate, clearImmediate, callback),
+  clear: (id) => cancel(id),
+  nextTick: (callback) => process.nextTick(callback),
+  queueMicrotask: (callback) => queueMicrotask(callback),
+};
+
+// Evaluated inside the context, so these functions belong to its realm;
+// `host` stays in this closure and is never reachable from the snippet
+const SETUP = `(host) => {
+  'use strict';
+  // Taken before the snippet runs, so replacing the globals changes nothing
+  const { Error: ContextError, Number: toNumber, String: toString, TypeError: ContextTypeError } = globalThis;
+
+  // The host functions belong to the other realm: call them only with
+  // primitives, and never let one of their errors through
+  const callHost = (name, ...args) => {
+    try {
+      return host[name](...args);
+    } catch {
+      throw new ContextError('The playground could not run ' + name + '()');
+    }
+  };
+  const toDelay = (ms) => {
+    const delay = toNumber(ms);
+    return delay >= 1 && delay <= 2147483647 ? delay : 1;
+  };
+  const toTimerId = (id) => {
+    const number = toNumber(id);
+    return number === number ? number : 0;
+  };
+
+  const format = (value) => {
+    if (typeof value === 'string') return value;
+    if (typeof value === 'function') return '[Function ' + (value.name || 'anonymous') + ']';
+    if (value instanceof ContextError) return value.stack || toString(value);
+    try {
+      const json = JSON.stringify(value);
+      return json === undefined ? toString(value) : json;
+    } catch {
+      return toString(value);
+    }
+  };
+  const logger = (level) => (...args) => {
+    callHost('log', level, toString(args.map(format).join(' ')));
+  };
+  const checkCallback = (callback) => {
+    if (typeof callback !== 'function') {
+      throw new ContextTypeError('The "callback" argument must be a function');
+    }
+  };
+
+  globalThis.console = {
+    log: logger('log'),
+    info: logger('info'),
+    warn: logger('warn'),
+    error: logger('error'),
+    debug: logger('debug'),
+  };
+  globalThis.setTimeout = (callback, ms = 0, ...args) => {
+    checkCallback(callback);
+    return callHost('setTimeout', () => callback(...args), toDelay(ms));
+  };
+  globalThis.setInterval = (callback, ms = 0, ...args) => {
+    checkCallback(callback);
+    return callHost('setInterval', () => callback(...args), toDelay(ms));
+  };
+  globalThis.setImmediate = (callback, ...args) => {
+    checkCallback(callback);
+    return callHost('setImmediate', () => callback(...args));
+  };
+  globalThis.clearTimeout = globalThis.clearInterval = globalThis.clearImmediate = (id) => {
+    callHost('clear', toTimerId(id));
+  };
+  globalThis.queueMicrotask = (callback) => {
+    checkCallback(callback);
+    callHost('queueMicrotask', () => callback());
+  };
+  globalThis.process = Object.freeze({
+    nextTick: (callback, ...args) => {
+      checkCallback(callback);
+      callHost('nextTick', () => callback(...args));
+    },
+  });
+}`;
+
+const context = createContext(
+  {},
+  { codeGeneration: { strings: false, wasm: false } },
+);
+runInContext(SETUP, context)(host);
+
+// Not straight from this module's top level: an ES module is evaluated in a
+// microtask, which would run the snippet's promises before its nextTicks
+process.nextTick(() => {
+  tracer.run('playground', () => {
+    runInContext(code, context, {
+      filename: 'playground.js',
+      timeout: syncTimeoutMs,
+    });
+  });
+});
@@ -0,0 +1,7 @@
+// Validation schema for POST /api/playground (see src/http/validate.mjs)
+
+export const MAX_CODE_LENGTH = 5000;
+
+export const playgroundBodySchema = {
+  code: { type: 'string', required: true, maxLength: MAX_CODE_LENGTH },
+};
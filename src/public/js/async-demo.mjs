@@ -0,0 +1,383 @@
+// The page script for async-demo.html. It lives in its own file so the
+// Content-Security-Policy can allow scripts from this origin only.
+import {
+  SCENARIOS,
+  formatExpected,
+  nodeOnlyApis,
+  scenarioSource,
+} from '/js/demo-scenarios.mjs';
+
+// Badge colour per log() type, for the browser and the Node.js runs
+const TYPE_CLASSES = {
+  SYNC: 'sync',
+  NEXTTICK: 'nexttick',
+  MICROTASK: 'microtask',
+  TIMER: 'timeout',
+  IMMEDIATE: 'immediate',
+  IO: 'io',
+};
+
+let startTime;
+let logCounter = 0;
+
+function initTimer() {
+  startTime = Date.now();
+  logCounter = 0;
+}
+
+function getTimestamp() {
+  return `${(Date.now() - startTime).toString().padStart(4, '0')}ms`;
+}
+
+// The log() scenarios call; type is SYNC, NEXTTICK, MICROTASK, ...
+function log(message, type = 'SYNC', details = '') {
+  logCounter++;
+  const output = document.getElementById('output');
+  const entry = document.createElement('div');
+  entry.className = 'log-entry';
+
+  const timestamp = document.createElement('span');
+  timestamp.className = 'timestamp';
+  timestamp.textContent = getTimestamp();
+
+  const badge = document.createElement('span');
+  badge.className = `type-badge ${TYPE_CLASSES[type] ?? 'other'}`;
+  badge.textContent = type;
+
+  const text = document.createElement('span');
+  text.textContent = `${logCounter}. ${message}`;
+  text.title = details;
+
+  entry.appendChild(timestamp);
+  entry.appendChild(badge);
+  entry.appendChild(text);
+
+  output.appendChild(entry);
+  output.scrollTop = output.scrollHeight;
+}
+
+function clearOutput() {
+  document.getElementById('output').innerHTML = '';
+}
+
+// ============================================================
+// Node.js runs streamed from the server (GET /api/demos/:id/events)
+// ============================================================
+let nodeRun = null;
+
+function setNodeStatus(text) {
+  document.getElementById('node-status').textContent = text;
+}
+
+function nodeLog(event) {
+  const output = document.getElementById('node-output');
+  const entry = document.createElement('div');
+  entry.className = 'log-entry';
+
+  const timestamp = document.createElement('span');
+  timestamp.className = 'timestamp';
+  timestamp.textContent = `${Math.round(event.elapsedMs).toString().padStart(4, '0')}ms`;
+
+  const badge = document.createElement('span');
+  badge.className = `type-badge ${TYPE_CLASSES[event.type] ?? 'other'}`;
+  badge.textContent = event.badge.trim();
+  badge.title = event.phase;
+
+  const text = document.createElement('span');
+  text.textContent = `${event.seq}. ${event.message}`;
+  text.title = event.details;
+
+  entry.appendChild(timestamp);
+  entry.appendChild(badge);
+  entry.appendChild(text);
+
+  // The phase async_hooks saw the callback run in
+  if (event.observed) {
+    const observed = document.createElement('span');
+    observed.className = event.observed.mismatch
+      ? 'observed mismatch'
+      : 'observed';
+    observed.textContent = event.observed.mismatch
+      ? `ran in ${event.observed.phase}!`
+      : event.observed.phase;
+    entry.appendChild(observed);
+  }
+
+  output.appendChild(entry);
+  output.scrollTop = output.scrollHeight;
+}
+
+function runNodeDemo(id) {
+  nodeRun?.close();
+  document.getElementById('node-output').innerHTML = '';
+  setNodeStatus(`Starting demo ${id} in Node.js...`);
+
+  const source = new EventSource(`/api/demos/${encodeURIComponent(id)}/events`);
+  nodeRun = source;
+
+  source.addEventListener('start', (message) => {
+    const demo = JSON.parse(message.data);
+    setNodeStatus(`Running demo ${demo.id}: ${demo.title}`);
+  });
+  source.addEventListener('log', (message) => {
+    nodeLog(JSON.parse(message.data));
+  });
+  source.addEventListener('end', (message) => {
+    const { events } = JSON.parse(message.data);
+    setNodeStatus(`Finished: ${events} log() calls`);
+    // Otherwise EventSource reconnects and runs the demo again
+    source.close();
+  });
+  source.addEventListener('failed', (message) => {
+    setNodeStatus(`The run failed: ${JSON.parse(message.data).message}`);
+    source.close();
+  });
+  source.addEventListener('shutdown', () => {
+    setNodeStatus('The demo server shut down before the run finished');
+    source.close();
+  });
+  source.onerror = () => {
+    if (nodeRun !== source) return;
+    setNodeStatus(
+      'Could not reach the demo server - start it with "node app.mjs" and open this page from it',
+    );
+    source.close();
+  };
+}
+
+// ============================================================
+// Playground: snippets run in a sandbox on the server (POST /api/playground)
+// ============================================================
+const PHASE_CLASSES = {
+  sync: 'sync',
+  nextTick: 'nexttick',
+  microtask: 'microtask',
+  timers: 'timeout',
+  poll: 'io',
+  check: 'immediate',
+};
+
+const PLAYGROUND_EXAMPLE = `console.log('1. sync');
+
+setTimeout(() => console.log('timeout'), 0);
+setImmediate(() => console.log('immediate'));
+process.nextTick(() => console.log('nextTick'));
+Promise.resolve().then(() => console.log('promise'));
+
+(async () => {
+await null;
+console.log('after await');
+})();
+
+console.log('2. sync');`;
+
+function resetPlayground() {
+  document.getElementById('playground-code').value = PLAYGROUND_EXAMPLE;
+  document.getElementById('playground-output').innerHTML = '';
+  document.getElementById('playground-status').textContent = '';
+}
+
+// The playground has console.log instead of the scenarios' log() and wait()
+const PLAYGROUND_PRELUDE = `const log = (message) => console.log(message);
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+`;
+
+function openInPlayground(scenario) {
+  const source = scenarioSource(scenario);
+  document.getElementById('playground-code').value =
+    PLAYGROUND_PRELUDE +
+    (scenario.run.constructor.name === 'AsyncFunction'
+      ? `(async () => {\n${source.replace(/^(?=.)/gm, '    ')}\n})();`
+      : source);
+  document
+    .getElementById('playground-code')
+    .scrollIntoView({ behavior: 'smooth' });
+}
+
+function playgroundLine(text, className) {
+  const entry = document.createElement('div');
+  entry.className = `log-entry ${className}`;
+  entry.textContent = text;
+  document.getElementById('playground-output').appendChild(entry);
+}
+
+async function runPlayground() {
+  const output = document.getElementById('playground-output');
+  const status = document.getElementById('playground-status');
+  output.innerHTML = '';
+  status.textContent = 'Running...';
+
+  let body;
+  try {
+    const response = await fetch('/api/playground', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        code: document.getElementById('playground-code').value,
+      }),
+    });
+    body = await response.json();
+    if (!response.ok)
+      throw new Error(
+        body.error?.fields?.[0]?.message
+          ? `code ${body.error.fields[0].message}`
+          : (body.error?.message ?? response.statusText),
+      );
+  } catch (error) {
+    status.textContent = `Could not run the snippet: ${error.message}`;
+    return;
+  }
+
+  const result = body.data;
+  for (const entry of result.output) {
+    const line = document.createElement('div');
+    line.className = 'log-entry';
+
+    const timestamp = document.createElement('span');
+    timestamp.className = 'timestamp';
+    timestamp.textContent = `${Math.round(entry.elapsedMs).toString().padStart(4, '0')}ms`;
+
+    const badge = document.createElement('span');
+    badge.className = `type-badge ${PHASE_CLASSES[entry.phase] ?? 'other'}`;
+    badge.textContent = entry.phase.toUpperCase();
+
+    const text = document.createElement('span');
+    text.textContent = `${entry.seq}. ${entry.text}`;
+
+    line.appendChild(timestamp);
+    line.appendChild(badge);
+    line.appendChild(text);
+    output.appendChild(line);
+  }
+
+  if (result.truncated) playgroundLine('... output cut off', 'other');
+  if (result.error)
+    playgroundLine(
+      `Uncaught ${result.error.name}: ${result.error.message}`,
+      'error',
+    );
+  status.textContent = result.timedOut
+    ? `Stopped after ${result.durationMs}ms - something was still scheduled (an interval?)`
+    : `Finished in ${result.durationMs}ms`;
+}
+
+document
+  .getElementById('run-playground')
+  .addEventListener('click', runPlayground);
+document
+  .getElementById('reset-playground')
+  .addEventListener('click', resetPlayground);
+document
+  .getElementById('playground-code')
+  .addEventListener('keydown', (event) => {
+    if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+      event.preventDefault();
+      runPlayground();
+    }
+  });
+
+async function loadNodeDemos() {
+  const select = document.getElementById('node-demo');
+  try {
+    const response = await fetch('/api/demos');
+    if (!response.ok) throw new Error(response.statusText);
+    const { data } = await response.json();
+    for (const demo of data) {
+      const option = document.createElement('option');
+      option.value = demo.id;
+      option.textContent = `${demo.id}. ${demo.title}`;
+      select.appendChild(option);
+    }
+  } catch {
+    setNodeStatus(
+      'Node.js demos need the server - start it with "node app.mjs" and open this page from it',
+    );
+  }
+}
+
+// ============================================================
+// Scenarios shared with the Node.js demos (js/demo-scenarios.mjs)
+// ============================================================
+
+// Browsers have neither; these stand-ins show how the order changes
+const BROWSER_STAND_INS = {
+  'process.nextTick': 'queueMicrotask()',
+  setImmediate: 'setTimeout(fn, 0)',
+};
+globalThis.process ??= {
+  nextTick: (callback, ...args) => queueMicrotask(() => callback(...args)),
+};
+globalThis.setImmediate ??= (callback, ...args) =>
+  setTimeout(callback, 0, ...args);
+
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function runScenario(scenario, { compare = true } = {}) {
+  clearOutput();
+  initTimer();
+
+  const standIns = nodeOnlyApis(scenario);
+  document.getElementById('browser-status').textContent =
+    standIns.length > 0
+      ? `Stand-ins: ${standIns.map((api) => `${api} → ${BROWSER_STAND_INS[api]}`).join(', ')}`
+      : 'Same code as in Node.js';
+
+  scenario.run({ log, wait });
+
+  if (compare && document.getElementById('compare-with-node').checked) {
+    document.getElementById('node-demo').value = scenario.id;
+    runNodeDemo(scenario.id);
+  }
+}
+
+function renderScenarios() {
+  const buttons = document.getElementById('scenario-buttons');
+  const code = document.getElementById('scenario-code');
+
+  for (const scenario of SCENARIOS) {
+    const button = document.createElement('button');
+    button.textContent = `Demo ${scenario.id}: ${scenario.title}`;
+    button.addEventListener('click', () => runScenario(scenario));
+    buttons.appendChild(button);
+
+    const section = document.createElement('div');
+    section.className = 'scenario';
+
+    const heading = document.createElement('h3');
+    heading.textContent = `Demo ${scenario.id}: ${scenario.title}`;
+
+    const explanation = document.createElement('p');
+    explanation.textContent = scenario.explanation;
+
+    const source = document.createElement('pre');
+    source.className = 'code-block';
+    source.textContent = scenarioSource(scenario);
+
+    const expected = document.createElement('p');
+    expected.className = 'expected';
+    expected.textContent = `Expected order in Node.js: ${formatExpected(scenario.expected)}`;
+
+    const tryIt = document.createElement('button');
+    tryIt.textContent = 'Try it in the playground';
+    tryIt.addEventListener('click', () => openInPlayground(scenario));
+
+    section.append(heading, explanation, source, expected, tryIt);
+    code.appendChild(section);
+  }
+}
+
+document.getElementById('clear-output').addEventListener('click', clearOutput);
+document.getElementById('run-node-demo').addEventListener('click', () => {
+  runNodeDemo(document.getElementById('node-demo').value);
+});
+
+// Run demo 1 on page load
+window.onload = () => {
+  renderScenarios();
+  loadNodeDemos();
+  resetPlayground();
+  setTimeout(() => runScenario(SCENARIOS[0], { compare: false }), 500);
+};
@@ -0,0 +1,428 @@
+/**
+ * The core ordering demos, defined once and rendered everywhere:
+ *
+ *   - src/demos/demo-library.mjs runs them as demos 1-6, e.g. from
+ *     async-execution-demo.mjs
+ *   - async-demo.html (served from src/public) runs them in the browser,
+ *     shows their code and streams the Node.js run next to it
+ *   - scripts/render-scenario-docs.mjs writes DEMO-SCENARIOS.md
+ *
+ * A scenario's run() is the demo itself. It gets `log(message, type,
+ * details)`, where type is one of SYNC, NEXTTICK, MICROTASK, TIMER,
+ * IMMEDIATE and IO, and `wait(ms)`. Everything else it uses is a global, so
+ * its source reads like plain Node.js code and is what the page displays.
+ *
+ * This module must stay free of Node.js imports: browsers load it as-is.
+ */
+
+/**
+ * Mark messages whose relative order is not guaranteed; each item is a
+ * message or an array of messages that stay in order among themselves
+ * @param {...(string|string[])} items
+ * @returns {{anyOrder: string[][]}}
+ */
+export function anyOrder(...items) {
+  return { anyOrder: items.map((item) => [].concat(item)) };
+}
+
+/**
+ * One-line rendering of an expected order, e.g. "a → b → (c | d)"
+ * @param {Array<string|{anyOrder: string[][]}>} expected
+ */
+export function formatExpected(expected) {
+  return expected
+    .map((step) =>
+      typeof step === 'string'
+        ? step
+        : `(${step.anyOrder.map((group) => group.join(' → ')).join(' | ')})`,
+    )
+    .join(' → ');
+}
+
+/**
+ * The body of a scenario's run(), dedented, as it should be displayed
+ * @param {{run: Function}} scenario
+ * @returns {string}
+ */
+export function scenarioSource(scenario) {
+  const source = scenario.run.toString();
+  const lines = source
+    .slice(
+      source.indexOf('{', source.indexOf(')')) + 1,
+      source.lastIndexOf('}'),
+    )
+    .split('\n');
+  while (lines.length > 0 && lines[0].trim() === '') lines.shift();
+  while (lines.length > 0 && lines.at(-1).trim() === '') lines.pop();
+
+  const indent = Math.min(
+    ...lines
+      .filter((line) => line.trim() !== '')
+      .map((line) => line.match(/^ */)[0].length),
+  );
+  return lines.map((line) => line.slice(indent)).join('\n');
+}
+
+/**
+ * The Node.js-only APIs a scenario's code uses; async-demo.html gives
+ * browsers stand-ins for them
+ * @param {{run: Function}} scenario
+ * @returns {string[]}
+ */
+export function nodeOnlyApis(scenario) {
+  const source = scenario.run.toString();
+  return ['process.nextTick', 'setImmediate'].filter((api) =>
+    source.includes(api),
+  );
+}
+
+export const SCENARIOS = [
+  {
+    id: 1,
+    name: 'basic-order',
+    title: 'Basic Execution Order',
+    heading: 'Basic Execution Order - Understanding Priorities',
+    explanation:
+      'Priority: P1 (Sync) → P2.1 (nextTick) → P2 (Microtask) → P3 (Timer)',
+    expected: [
+      'Synchronous code starts',
+      'Synchronous code ends',
+      'process.nextTick() executed',
+      'Promise.then() executed',
+      'Another Promise.then() executed',
+      'setTimeout with 0ms executed',
+      'setTimeout with 10ms executed',
+    ],
+    run({ log }) {
+      log('Synchronous code starts', 'SYNC', 'Executes immediately');
+
+      setTimeout(() => {
+        log('setTimeout with 0ms executed', 'TIMER', 'Queued to Timers phase');
+      }, 0);
+
+      setTimeout(() => {
+        log('setTimeout with 10ms executed', 'TIMER', 'Delayed by 10ms');
+      }, 10);
+
+      Promise.resolve().then(() => {
+        log(
+          'Promise.then() executed',
+          'MICROTASK',
+          'Queued to Microtask queue',
+        );
+      });
+
+      Promise.resolve().then(() => {
+        log('Another Promise.then() executed', 'MICROTASK', 'Second microtask');
+      });
+
+      process.nextTick(() => {
+        log(
+          'process.nextTick() executed',
+          'NEXTTICK',
+          'Runs before other microtasks',
+        );
+      });
+
+      log('Synchronous code ends', 'SYNC', 'Still in call stack');
+    },
+  },
+  {
+    id: 2,
+    name: 'promise-chains',
+    title: 'Promise Chains & process.nextTick',
+    heading: 'Promise Chains & process.nextTick - Understanding Queue Timing',
+    explanation:
+      'Why? nextTick queue is drained COMPLETELY before microtask queue!',
+    expected: [
+      'Starting demo',
+      'Sync code ends',
+      'nextTick callback #1',
+      'nextTick callback #2',
+      'Promise resolved: Step 1',
+      'queueMicrotask callback',
+      'Promise resolved: Step 2',
+      'Promise resolved: Step 3',
+      'setTimeout runs last',
+    ],
+    run({ log }) {
+      log('Starting demo', 'SYNC', 'Synchronous setup');
+
+      // This Promise.resolve() immediately queues the first .then() during sync execution
+      Promise.resolve('Step 1')
+        .then((result) => {
+          log(
+            `Promise resolved: ${result}`,
+            'MICROTASK',
+            'First in promise chain',
+          );
+          return 'Step 2';
+        })
+        .then((result) => {
+          log(`Promise resolved: ${result}`, 'MICROTASK', 'Second in chain');
+          return 'Step 3';
+        })
+        .then((result) => {
+          log(`Promise resolved: ${result}`, 'MICROTASK', 'Final in chain');
+        });
+
+      // These are queued AFTER the first Promise, but nextTick has HIGHER PRIORITY
+      process.nextTick(() => {
+        log(
+          'nextTick callback #1',
+          'NEXTTICK',
+          'Should run BEFORE all Promises!',
+        );
+      });
+
+      queueMicrotask(() => {
+        log(
+          'queueMicrotask callback',
+          'MICROTASK',
+          'Same queue as Promise.then()',
+        );
+      });
+
+      process.nextTick(() => {
+        log('nextTick callback #2', 'NEXTTICK', 'Second nextTick');
+      });
+
+      log('Sync code ends', 'SYNC', 'All operations queued');
+
+      setTimeout(() => {
+        log('setTimeout runs last', 'TIMER', 'After all microtasks complete');
+      }, 0);
+    },
+  },
+  {
+    id: 3,
+    name: 'nexttick-priority',
+    title: 'nextTick TRUE Priority',
+    heading: 'nextTick TRUE Priority - Proving It Runs First',
+    explanation:
+      'This proves: nextTick queue is drained BEFORE microtask queue, regardless of registration order!',
+    expected: [
+      'Starting priority test',
+      'Sync ends',
+      'nextTick',
+      'Promise #1',
+      'queueMicrotask',
+      'Promise #2',
+    ],
+    run({ log }) {
+      log('Starting priority test', 'SYNC', 'Registering in specific order');
+
+      // Register Promise FIRST
+      Promise.resolve().then(() => {
+        log('Promise #1', 'MICROTASK', 'Registered first');
+      });
+
+      queueMicrotask(() => {
+        log('queueMicrotask', 'MICROTASK', 'Registered second');
+      });
+
+      // Register nextTick LAST but it should run FIRST (proving priority!)
+      process.nextTick(() => {
+        log('nextTick', 'NEXTTICK', 'Registered last but runs FIRST!');
+      });
+
+      Promise.resolve().then(() => {
+        log('Promise #2', 'MICROTASK', 'Registered fourth');
+      });
+
+      log('Sync ends', 'SYNC', 'Now async callbacks will run');
+    },
+  },
+  {
+    id: 4,
+    name: 'async-await',
+    title: 'Async/Await',
+    heading: 'Async/Await - Understanding the Transformation',
+    explanation:
+      "Key Insight: async/await is syntactic sugar for Promises. Each 'await' creates a microtask for the continuation code",
+    expected: [
+      'Before async function call',
+      'Async function starts',
+      'After async function call',
+      'After first await',
+      'Regular Promise.then',
+      'After await with 50ms delay',
+      'Received: Async result',
+      'Async function completed',
+    ],
+    async run({ log, wait }) {
+      log('Before async function call', 'SYNC', 'Main thread execution');
+
+      async function asyncExample() {
+        log('Async function starts', 'SYNC', 'Before await = synchronous');
+
+        await Promise.resolve();
+        log('After first await', 'MICROTASK', 'await transforms to .then()');
+
+        await wait(50);
+        log('After await with 50ms delay', 'MICROTASK', 'Delayed continuation');
+
+        const result = await Promise.resolve('Async result');
+        log(
+          `Received: ${result}`,
+          'MICROTASK',
+          'Another microtask continuation',
+        );
+
+        return 'Done';
+      }
+
+      const promise = asyncExample();
+
+      log(
+        'After async function call',
+        'SYNC',
+        'Async function returns immediately',
+      );
+
+      Promise.resolve().then(() => {
+        log(
+          'Regular Promise.then',
+          'MICROTASK',
+          'Queued alongside await continuations',
+        );
+      });
+
+      await promise;
+      log('Async function completed', 'MICROTASK', 'Awaiting result');
+    },
+  },
+  {
+    id: 5,
+    name: 'immediate-vs-timeout',
+    title: 'setImmediate vs setTimeout vs process.nextTick',
+    heading: 'setImmediate vs setTimeout vs process.nextTick',
+    explanation:
+      'Note: setTimeout vs setImmediate order can vary depending on context',
+    expected: [
+      'Synchronous start',
+      'Synchronous end',
+      'process.nextTick',
+      'Promise.then',
+      // Depends on how long the loop took to reach the timers phase
+      anyOrder('setTimeout 0ms', 'setImmediate'),
+    ],
+    run({ log }) {
+      log('Synchronous start', 'SYNC', 'Call stack execution');
+
+      setTimeout(() => {
+        log('setTimeout 0ms', 'TIMER', 'Timers phase - macrotask');
+      }, 0);
+
+      setImmediate(() => {
+        log('setImmediate', 'IMMEDIATE', 'Check phase - after I/O callbacks');
+      });
+
+      process.nextTick(() => {
+        log('process.nextTick', 'NEXTTICK', 'Highest priority microtask');
+      });
+
+      Promise.resolve().then(() => {
+        log('Promise.then', 'MICROTASK', 'Standard microtask');
+      });
+
+      log('Synchronous end', 'SYNC', 'Call stack complete');
+    },
+  },
+  {
+    id: 6,
+    name: 'mixed',
+    title: 'Mixed - Everything Together',
+    heading: 'Mixed - Everything Together',
+    explanation:
+      'Watch the priority order: Sync → nextTick → Microtasks → Timers → setImmediate',
+    expected: [
+      '1. Synchronous start',
+      '2. Async function start',
+      '3. Synchronous end',
+      'process.nextTick',
+      'Promise.then #1',
+      'After await',
+      'Promise.then #2',
+      'queueMicrotask',
+      anyOrder(
+        'setTimeout 0ms executed',
+        'Promise inside setTimeout',
+        'setImmediate executed',
+        'setTimeout inside Promise',
+        'setTimeout in async',
+      ),
+      'After 20ms delay',
+      'setTimeout 30ms executed',
+    ],
+    run({ log, wait }) {
+      log('1. Synchronous start', 'SYNC', 'Main execution begins');
+
+      // Macrotask - setTimeout
+      setTimeout(() => {
+        log('setTimeout 0ms executed', 'TIMER', 'Macrotask from Timers phase');
+
+        Promise.resolve().then(() => {
+          log(
+            'Promise inside setTimeout',
+            'MICROTASK',
+            'Microtasks run after each macrotask',
+          );
+        });
+      }, 0);
+
+      setTimeout(() => {
+        log('setTimeout 30ms executed', 'TIMER', 'Delayed timer');
+      }, 30);
+
+      setImmediate(() => {
+        log('setImmediate executed', 'IMMEDIATE', 'Check phase execution');
+      });
+
+      // Microtask - Promise
+      Promise.resolve().then(() => {
+        log('Promise.then #1', 'MICROTASK', 'First Promise microtask');
+
+        setTimeout(() => {
+          log(
+            'setTimeout inside Promise',
+            'TIMER',
+            'New macrotask queued from microtask',
+          );
+        }, 0);
+      });
+
+      // Async function
+      async function complexAsync() {
+        log('2. Async function start', 'SYNC', 'Synchronous entry');
+
+        await Promise.resolve();
+        log('After await', 'MICROTASK', 'Continuation as microtask');
+
+        setTimeout(() => {
+          log('setTimeout in async', 'TIMER', 'Timer scheduled from async');
+        }, 0);
+
+        await wait(20);
+        log('After 20ms delay', 'MICROTASK', 'Timer-based continuation');
+      }
+
+      complexAsync();
+
+      // More microtasks
+      process.nextTick(() => {
+        log('process.nextTick', 'NEXTTICK', 'Runs first among async ops');
+      });
+
+      Promise.resolve().then(() => {
+        log('Promise.then #2', 'MICROTASK', 'Second Promise microtask');
+      });
+
+      queueMicrotask(() => {
+        log('queueMicrotask', 'MICROTASK', 'Explicit microtask queuing');
+      });
+
+      log('3. Synchronous end', 'SYNC', 'Main execution complete');
+    },
+  },
+];
@@ -0,0 +1,72 @@
+import { mkdir, readFile, rename, rm, writeFile } from 'node:fs/promises';
+import { basename, dirname, join } from 'node:path';
+
+/**
+ * Keeps a JSON document in a single file on disk.
+ *
+ * Writes go to a temp file next to the target and are then renamed over it,
+ * so a crash mid-write never leaves a half-written file behind. Saves are
+ * queued and run one at a time, in the order they were requested.
+ */
+export class JsonFileStore {
+  #writeQueue = Promise.resolve();
+  #writeCount = 0;
+
+  /**
+   * @param {string} filePath - Absolute path of the JSON file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * Read and parse the file
+   * @param {*} fallback - Returned when the file does not exist yet
+   */
+  async load(fallback = null) {
+    try {
+      return JSON.parse(await readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return fallback;
+      throw error;
+    }
+  }
+
+  /**
+   * Queue a write of `data`; resolves once it is safely on disk
+   * @param {*} data - Anything JSON.stringify can handle
+   */
+  save(data) {
+    // Serialize now so later mutations of `data` don't leak into this write
+    const contents = `${JSON.stringify(data, null, 2)}\n`;
+    const write = this.#writeQueue.then(() => this.#writeAtomically(contents));
+
+    // Keep the queue going even if this write fails
+    this.#writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * Resolves once every queued write has finished
+   */
+  flush() {
+    return this.#writeQueue;
+  }
+
+  async #writeAtomically(contents) {
+    const directory = dirname(this.filePath);
+    const tempPath = join(
+      directory,
+      `.${basename(this.filePath)}.${process.pid}.${++this.#writeCount}.tmp`,
+    );
+
+    await mkdir(directory, { recursive: true });
+    try {
+      await writeFile(tempPath, contents, { encoding: 'utf8', flush: true });
+      await rename(tempPath, this.filePath);
+    } catch (error) {
+      await rm(tempPath, { force: true });
+      throw error;
+    }
+  }
+}
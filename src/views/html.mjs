@@ -0,0 +1,52 @@
+// Markup that has already been escaped (or is trusted) and must not be escaped again
+export class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+const ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+export function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (char) => ESCAPES[char]);
+}
+
+/**
+ * Mark a string as trusted markup
+ * @param {string} value - HTML that will be inserted as-is
+ */
+export function raw(value) {
+  return new SafeHtml(String(value));
+}
+
+function renderValue(value) {
+  if (value === null || value === undefined || value === false) return '';
+  if (value instanceof SafeHtml) return value.value;
+  if (Array.isArray(value)) return value.map(renderValue).join('');
+  return escapeHtml(value);
+}
+
+/**
+ * Tagged template for views: every interpolated value is HTML-escaped unless
+ * it is SafeHtml (e.g. the result of another html`` call or a partial).
+ * Arrays are rendered item by item, null/undefined/false render nothing.
+ *
+ * @example html`<h3>${concert.artist}</h3>`
+ */
+export function html(strings, ...values) {
+  let output = strings[0];
+  values.forEach((value, index) => {
+    output += renderValue(value) + strings[index + 1];
+  });
+  return new SafeHtml(output);
+}
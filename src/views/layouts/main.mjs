@@ -0,0 +1,26 @@
+import { html } from '../html.mjs';
+
+/**
+ * Page shell shared by every server-rendered page: styles.css and the banner
+ * @param {object} options
+ * @param {string} options.title - Document title
+ * @param {*} options.content - Page body, usually an html`` result
+ */
+export default function mainLayout({ title, content }) {
+  return html`<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>${title}</title>
+    <link rel="stylesheet" href="/css/styles.css" />
+  </head>
+  <body>
+    <div class="banner">
+      <img src="/img/concert-banner.svg" alt="Live Concerts Banner" />
+    </div>
+    ${content}
+  </body>
+</html>
+`;
+}
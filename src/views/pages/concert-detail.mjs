@@ -0,0 +1,14 @@
+import { html } from '../html.mjs';
+import mainLayout from '../layouts/main.mjs';
+import concertCard from '../partials/concert-card.mjs';
+
+export default function concertDetailPage({ concert }) {
+  return mainLayout({
+    title: `${concert.artist} - Concerts`,
+    content: html`<h1>${concert.artist}</h1>
+    <div class="concert-list">
+      ${concertCard(concert, { link: false })}
+      <p class="back-link"><a href="/concerts">&larr; All concerts</a></p>
+    </div>`,
+  });
+}
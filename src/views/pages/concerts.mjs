@@ -0,0 +1,25 @@
+import { html } from '../html.mjs';
+import mainLayout from '../layouts/main.mjs';
+import concertCard from '../partials/concert-card.mjs';
+import concertFilters from '../partials/concert-filters.mjs';
+import pagination from '../partials/pagination.mjs';
+
+export default function concertsPage({ concerts, filters, pagination: page }) {
+  const { offset, ...filtersWithoutOffset } = filters;
+
+  return mainLayout({
+    title: 'Concerts',
+    content: html`<h1>Upcoming Concerts</h1>
+    <div class="concert-list">
+      ${concertFilters(filters)}
+      ${concerts.length > 0
+        ? concerts.map((concert) => concertCard(concert))
+        : html`<p class="concert-list-status">No concerts match your search.</p>`}
+      ${pagination({
+        basePath: '/concerts',
+        filters: filtersWithoutOffset,
+        pagination: page,
+      })}
+    </div>`,
+  });
+}
@@ -0,0 +1,13 @@
+import { html } from '../html.mjs';
+import mainLayout from '../layouts/main.mjs';
+
+export default function errorPage({ status, message }) {
+  return mainLayout({
+    title: `${status} - Concerts`,
+    content: html`<h1>${status}</h1>
+    <div class="concert-list">
+      <p class="concert-list-status">${message}</p>
+      <p class="back-link"><a href="/concerts">&larr; All concerts</a></p>
+    </div>`,
+  });
+}
@@ -0,0 +1,9 @@
+import { html } from '../html.mjs';
+import mainLayout from '../layouts/main.mjs';
+
+export default function htmlVersionPage() {
+  return mainLayout({
+    title: 'HTML version',
+    content: html`<h1>this is some html</h1>`,
+  });
+}
@@ -0,0 +1,30 @@
+import {
+  formatConcertDate,
+  formatConcertTime,
+} from '../../concerts/concert-model.mjs';
+import { html } from '../html.mjs';
+
+/**
+ * One concert in the listing
+ * @param {object} concert - Concert from the repository
+ * @param {object} [options]
+ * @param {boolean} [options.link] - Link the artist name to the detail page
+ */
+export default function concertCard(concert, { link = true } = {}) {
+  const artist = link
+    ? html`<a href="/concerts/${encodeURIComponent(concert.id)}">${concert.artist}</a>`
+    : concert.artist;
+
+  return html`<div class="concert-item">
+        <h3>
+          <img src="/img/music-icon.svg" alt="" />
+          ${artist}
+        </h3>
+        <p><strong>Date:</strong> ${formatConcertDate(concert.date)}</p>
+        <p>
+          <img src="/img/venue-icon.svg" alt="" />
+          <strong>Venue:</strong> ${concert.venue}
+        </p>
+        <p><strong>Time:</strong> ${formatConcertTime(concert.time)}</p>
+      </div>`;
+}
@@ -0,0 +1,49 @@
+import { SORT_OPTIONS } from '../../concerts/concert-query.mjs';
+import { html } from '../html.mjs';
+
+const SORT_LABELS = {
+  date: 'Date (soonest first)',
+  '-date': 'Date (latest first)',
+  artist: 'Artist (A-Z)',
+  '-artist': 'Artist (Z-A)',
+};
+
+/**
+ * Search and filter form for the concert listing; submits as a GET so
+ * every result page has a shareable URL
+ * @param {object} filters - The validated listing query
+ */
+export default function concertFilters(filters) {
+  return html`<form class="concert-filters" method="get" action="/concerts">
+    <input
+      type="search"
+      name="q"
+      placeholder="Search concerts"
+      value="${filters.q ?? ''}"
+    />
+    <input
+      type="text"
+      name="artist"
+      placeholder="Artist"
+      value="${filters.artist ?? ''}"
+    />
+    <input
+      type="text"
+      name="venue"
+      placeholder="Venue"
+      value="${filters.venue ?? ''}"
+    />
+    <label>From <input type="date" name="from" value="${filters.from ?? ''}" /></label>
+    <label>To <input type="date" name="to" value="${filters.to ?? ''}" /></label>
+    <select name="sort">
+      ${SORT_OPTIONS.map(
+        (option) =>
+          html`<option value="${option}" ${option === filters.sort && 'selected'}>
+            ${SORT_LABELS[option]}
+          </option>`,
+      )}
+    </select>
+    <input type="hidden" name="limit" value="${filters.limit}" />
+    <button type="submit">Search</button>
+  </form>`;
+}
@@ -0,0 +1,42 @@
+import { html } from '../html.mjs';
+
+function pageUrl(basePath, filters, offset) {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries({ ...filters, offset })) {
+    if (value !== undefined && value !== '' && value !== 0) {
+      params.set(key, value);
+    }
+  }
+  const query = params.toString();
+  return query ? `${basePath}?${query}` : basePath;
+}
+
+/**
+ * "Showing 21-40 of 57" with previous/next links that keep the filters
+ * @param {object} options
+ * @param {string} options.basePath - Path of the listing page
+ * @param {object} options.filters - Current query (without offset)
+ * @param {{ total: number, limit: number, offset: number }} options.pagination
+ */
+export default function pagination({ basePath, filters, pagination }) {
+  const { total, limit, offset } = pagination;
+  if (total === 0) return '';
+
+  const first = Math.min(offset + 1, total);
+  const last = Math.min(offset + limit, total);
+  const hasPrevious = offset > 0;
+  const hasNext = offset + limit < total;
+
+  const previousLink = hasPrevious
+    ? html`<a href="${pageUrl(basePath, filters, Math.max(offset - limit, 0))}" rel="prev">&larr; Previous</a>`
+    : html`<span></span>`;
+  const nextLink = hasNext
+    ? html`<a href="${pageUrl(basePath, filters, offset + limit)}" rel="next">Next &rarr;</a>`
+    : html`<span></span>`;
+
+  return html`<nav class="pagination" aria-label="Concert pages">
+        ${previousLink}
+        <span>Showing ${first}-${last} of ${total}</span>
+        ${nextLink}
+      </nav>`;
+}
@@ -0,0 +1,21 @@
+import { pathToFileURL } from 'node:url';
+
+/**
+ * Express template engine for the views in this folder.
+ *
+ * A view is an ES module whose default export takes the render locals and
+ * returns the page markup (usually by calling a layout with html``).
+ * Register it with `app.engine('mjs', renderView)`.
+ *
+ * @param {string} filePath - Absolute path of the view module
+ * @param {object} locals - app.locals, res.locals and the render options
+ * @param {Function} callback - (error, html) => void
+ */
+export async function renderView(filePath, locals, callback) {
+  try {
+    const { default: view } = await import(pathToFileURL(filePath).href);
+    callback(null, String(await view(locals)));
+  } catch (error) {
+    callback(error);
+  }
+}
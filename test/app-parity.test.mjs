@@ -0,0 +1,67 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { SERVERS, startServer } from './helpers/server.mjs';
+
+// Requests the two apps used to answer differently
+for (const [name, script] of Object.entries(SERVERS)) {
+  describe(`${name}: same behavior as the other app`, () => {
+    let server;
+
+    before(async () => {
+      server = await startServer(script);
+    });
+    after(() => server?.stop());
+
+    it('rejects a repeated query parameter instead of keeping one value', async () => {
+      const response = await fetch(
+        `${server.url}/api/concerts?artist=a&artist=b`,
+      );
+
+      assert.equal(response.status, 400);
+      const { error } = await response.json();
+      assert.equal(error.code, 'VALIDATION_ERROR');
+      assert.deepEqual(
+        error.fields.map((field) => field.field),
+        ['artist'],
+      );
+    });
+
+    for (const body of ['null', '42', '"text"', 'true']) {
+      it(`rejects the JSON body ${body} with 400 INVALID_JSON`, async () => {
+        const response = await fetch(`${server.url}/api/concerts`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body,
+        });
+
+        assert.equal(response.status, 400);
+        assert.equal((await response.json()).error.code, 'INVALID_JSON');
+      });
+    }
+
+    it('answers with 404 for a method a path has no route for', async () => {
+      const response = await fetch(`${server.url}/concerts`, {
+        method: 'DELETE',
+      });
+
+      assert.equal(response.status, 404);
+      assert.equal(response.headers.get('allow'), null);
+    });
+
+    for (const [accept, type] of [
+      ['application/json, text/html;q=0.1', 'application/json'],
+      ['text/html,application/xhtml+xml,*/*;q=0.8', 'text/html'],
+      ['*/*', 'application/json'],
+      ['text/*', 'text/html'],
+    ]) {
+      it(`renders errors as ${type} for Accept: ${accept}`, async () => {
+        const response = await fetch(`${server.url}/no-such-page`, {
+          headers: { Accept: accept },
+        });
+
+        assert.equal(response.status, 404);
+        assert.match(response.headers.get('content-type'), new RegExp(type));
+      });
+    }
+  });
+}
@@ -0,0 +1,54 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { compareOrder } from '../src/demos/demo-run.mjs';
+
+// Two chains whose steps may interleave, e.g. two parallel fetches
+const EXPECTED = ['start', { anyOrder: [['a1', 'a2'], ['b1']] }, 'end'];
+
+describe('compareOrder', () => {
+  it('accepts every interleaving of an anyOrder group', () => {
+    for (const middle of [
+      ['a1', 'a2', 'b1'],
+      ['a1', 'b1', 'a2'],
+      ['b1', 'a1', 'a2'],
+    ]) {
+      const result = compareOrder(EXPECTED, ['start', ...middle, 'end']);
+
+      assert.equal(result.passed, true, middle.join(' '));
+      assert.ok(result.lines.every((line) => line.ok));
+    }
+  });
+
+  it('keeps the order within each sequence of a group', () => {
+    const result = compareOrder(EXPECTED, ['start', 'a2', 'b1', 'a1', 'end']);
+
+    assert.equal(result.passed, false);
+    assert.deepEqual(
+      result.lines.map((line) => line.ok),
+      [true, false, true],
+    );
+    assert.match(
+      result.lines[1].text,
+      /^✗ 2-4\. expected, in any order: a1 → a2 \| b1/,
+    );
+  });
+
+  it('does not match one step of a group twice', () => {
+    const result = compareOrder(EXPECTED, ['start', 'a1', 'a1', 'b1', 'end']);
+
+    assert.equal(result.passed, false);
+  });
+
+  it('reports a short run and extra messages', () => {
+    const short = compareOrder(EXPECTED, ['start', 'a1', 'b1']);
+    assert.equal(short.passed, false);
+    assert.match(short.lines.at(-1).text, /expected "end" but got nothing/);
+
+    const long = compareOrder(['start'], ['start', 'surprise']);
+    assert.equal(long.passed, false);
+    assert.deepEqual(long.lines.at(-1), {
+      ok: false,
+      text: '✗ 2. unexpected "surprise"',
+    });
+  });
+});
@@ -0,0 +1,120 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  DEFAULT_PAGE_SIZE,
+  queryConcerts,
+} from '../src/concerts/concert-query.mjs';
+
+const CONCERTS = [
+  {
+    artist: 'Coldplay',
+    date: '2024-05-20',
+    time: '20:15',
+    venue: 'United Center',
+  },
+  {
+    artist: 'adele',
+    date: '2024-05-20',
+    time: '19:00',
+    venue: 'Wembley Stadium',
+  },
+  {
+    artist: 'The Weeknd',
+    date: '2024-03-15',
+    time: '20:00',
+    venue: 'Madison Square Garden',
+  },
+  {
+    artist: 'Taylor Swift',
+    date: '2024-04-05',
+    time: '19:30',
+    venue: 'Staples Center',
+  },
+];
+
+function artists(result) {
+  return result.data.map((concert) => concert.artist);
+}
+
+describe('queryConcerts', () => {
+  it('sorts by date and time by default', () => {
+    const result = queryConcerts(CONCERTS);
+
+    assert.deepEqual(artists(result), [
+      'The Weeknd',
+      'Taylor Swift',
+      'adele',
+      'Coldplay',
+    ]);
+    assert.deepEqual(result.pagination, {
+      total: 4,
+      limit: DEFAULT_PAGE_SIZE,
+      offset: 0,
+    });
+  });
+
+  it('sorts by artist ignoring case, and descending with "-"', () => {
+    assert.deepEqual(artists(queryConcerts(CONCERTS, { sort: 'artist' })), [
+      'adele',
+      'Coldplay',
+      'Taylor Swift',
+      'The Weeknd',
+    ]);
+    assert.deepEqual(artists(queryConcerts(CONCERTS, { sort: '-date' })), [
+      'Coldplay',
+      'adele',
+      'Taylor Swift',
+      'The Weeknd',
+    ]);
+  });
+
+  it('filters by artist and venue, ignoring case', () => {
+    assert.deepEqual(artists(queryConcerts(CONCERTS, { artist: 'ADE' })), [
+      'adele',
+    ]);
+    assert.deepEqual(artists(queryConcerts(CONCERTS, { venue: 'center' })), [
+      'Taylor Swift',
+      'Coldplay',
+    ]);
+  });
+
+  it('filters by an inclusive date range', () => {
+    const result = queryConcerts(CONCERTS, {
+      from: '2024-04-05',
+      to: '2024-05-19',
+    });
+
+    assert.deepEqual(artists(result), ['Taylor Swift']);
+  });
+
+  it('searches every word across artist, venue and written-out date', () => {
+    assert.deepEqual(artists(queryConcerts(CONCERTS, { q: 'may center' })), [
+      'Coldplay',
+    ]);
+    assert.deepEqual(artists(queryConcerts(CONCERTS, { q: 'march 15' })), [
+      'The Weeknd',
+    ]);
+    assert.deepEqual(
+      artists(queryConcerts(CONCERTS, { q: 'swift wembley' })),
+      [],
+    );
+  });
+
+  it('paginates after filtering and reports the total', () => {
+    const result = queryConcerts(CONCERTS, {
+      sort: 'artist',
+      limit: 2,
+      offset: 1,
+    });
+
+    assert.deepEqual(artists(result), ['Coldplay', 'Taylor Swift']);
+    assert.deepEqual(result.pagination, { total: 4, limit: 2, offset: 1 });
+  });
+
+  it('returns an empty page past the end', () => {
+    const result = queryConcerts(CONCERTS, { offset: 10 });
+
+    assert.deepEqual(result.data, []);
+    assert.equal(result.pagination.total, 4);
+  });
+});
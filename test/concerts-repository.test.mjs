@@ -0,0 +1,79 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { ConcertsRepository } from '../src/concerts/concerts-repository.mjs';
+
+const FIELDS = {
+  artist: 'Adele',
+  date: '2024-06-01',
+  time: '20:00',
+  venue: 'Wembley Stadium',
+};
+
+// Stands in for JsonFileStore; a save fails when failWhen() says so
+class FakeStore {
+  failWhen = () => false;
+  saved = [];
+
+  async load() {
+    return [];
+  }
+
+  async save(data) {
+    const artists = data.map((concert) => concert.artist);
+    if (this.failWhen(artists)) throw new Error('disk full');
+    this.saved.push(artists);
+  }
+}
+
+describe('ConcertsRepository', () => {
+  it('saves a change before making it visible', async () => {
+    const store = new FakeStore();
+    const repository = await ConcertsRepository.load(store);
+
+    const concert = await repository.create(FIELDS);
+
+    assert.deepEqual(repository.get(concert.id), concert);
+    assert.deepEqual(store.saved, [['Adele']]);
+  });
+
+  it('leaves the concerts untouched when a save fails', async () => {
+    const store = new FakeStore();
+    const repository = await ConcertsRepository.load(store);
+    const concert = await repository.create(FIELDS);
+
+    store.failWhen = () => true;
+    await assert.rejects(repository.create({ ...FIELDS, artist: 'Muse' }), {
+      message: 'disk full',
+    });
+    await assert.rejects(repository.update(concert.id, { venue: 'O2' }));
+    await assert.rejects(repository.remove(concert.id));
+
+    assert.deepEqual(repository.list(), [concert]);
+  });
+
+  it('keeps applying changes queued after a failed one', async () => {
+    const store = new FakeStore();
+    const repository = await ConcertsRepository.load(store);
+
+    store.failWhen = (artists) => artists.includes('Adele');
+    const failed = repository.create(FIELDS);
+    // Queued behind the failing save, so it runs on the unchanged concerts
+    const saved = repository.create({ ...FIELDS, artist: 'Muse' });
+
+    await assert.rejects(failed);
+    await saved;
+    assert.deepEqual(
+      repository.list().map((concert) => concert.artist),
+      ['Muse'],
+    );
+  });
+
+  it('does not save when there is nothing to change', async () => {
+    const store = new FakeStore();
+    const repository = await ConcertsRepository.load(store);
+
+    assert.equal(await repository.update('no-such-id', { venue: 'O2' }), null);
+    assert.equal(await repository.remove('no-such-id'), false);
+    assert.deepEqual(store.saved, []);
+  });
+});
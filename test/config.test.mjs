@@ -0,0 +1,48 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import { ConfigError, loadConfig } from '../src/config.mjs';
+
+describe('loadConfig', () => {
+  let dir;
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'concerts-config-'));
+  });
+
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  async function loadFile(contents) {
+    const file = join(dir, 'config.json');
+    await writeFile(file, JSON.stringify(contents));
+    return loadConfig({ NODE_ENV: 'test', CONFIG_FILE: file });
+  }
+
+  it('merges a config file section with the defaults', async () => {
+    const config = await loadFile({ accessLog: { maxFiles: 2 } });
+
+    assert.equal(config.accessLog.maxFiles, 2);
+    assert.equal(config.accessLog.maxBytes, 5 * 1024 * 1024);
+  });
+
+  for (const [key, contents] of [
+    ['accessLog', { accessLog: null }],
+    ['security', { security: null }],
+    ['security', { security: ['*'] }],
+    ['security.rateLimit', { security: { rateLimit: 120 } }],
+  ]) {
+    it(`rejects ${JSON.stringify(contents)} with a ConfigError naming ${key}`, async () => {
+      await assert.rejects(loadFile(contents), (error) => {
+        assert.ok(error instanceof ConfigError);
+        assert.equal(error.problems.length, 1);
+        assert.match(
+          error.problems[0],
+          new RegExp(`^${key} in .* must be an object`),
+        );
+        return true;
+      });
+    });
+  }
+});
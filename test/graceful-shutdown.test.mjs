@@ -0,0 +1,55 @@
+import assert from 'node:assert/strict';
+import { performance } from 'node:perf_hooks';
+import { describe, it } from 'node:test';
+import { SERVERS, startServer } from './helpers/server.mjs';
+
+const SHUTDOWN_TIMEOUT_MS = 5000;
+
+// Read a text/event-stream body until `text` appears in it
+async function readUntil(reader, received, text) {
+  const decoder = new TextDecoder();
+  while (!received.text.includes(text)) {
+    const { done, value } = await reader.read();
+    if (done) return false;
+    received.text += decoder.decode(value, { stream: true });
+  }
+  return true;
+}
+
+for (const [name, script] of Object.entries(SERVERS)) {
+  describe(`${name}: graceful shutdown`, () => {
+    it('ends demo streams and playground runs instead of waiting them out', async () => {
+      const server = await startServer(script, {
+        SHUTDOWN_TIMEOUT_MS: String(SHUTDOWN_TIMEOUT_MS),
+      });
+
+      // Demo 15 runs for a couple of seconds
+      const stream = await fetch(`${server.url}/api/demos/15/events`);
+      const reader = stream.body.getReader();
+      const received = { text: '' };
+      assert.ok(await readUntil(reader, received, 'event: start'));
+
+      // An endless snippet, cut off only by the playground's time limit
+      const snippet = fetch(`${server.url}/api/playground`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ code: 'setInterval(() => {}, 100);' }),
+      });
+      await new Promise((resolve) => setTimeout(resolve, 300));
+
+      const started = performance.now();
+      const exitCode = await server.stop();
+      const tookMs = performance.now() - started;
+
+      assert.equal(exitCode, 0);
+      assert.ok(tookMs < SHUTDOWN_TIMEOUT_MS, `shutdown took ${tookMs}ms`);
+      assert.ok(await readUntil(reader, received, 'event: shutdown'));
+
+      const response = await snippet;
+      assert.equal(response.status, 200);
+      const { data } = await response.json();
+      assert.equal(data.timedOut, false);
+      assert.match(data.error.message, /server shut down/);
+    });
+  });
+}
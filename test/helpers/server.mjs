@@ -0,0 +1,55 @@
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = fileURLToPath(new URL('../..', import.meta.url));
+
+// Both apps serve the same routes, so most tests run against each of them
+export const SERVERS = {
+  'node:http app': join(ROOT, 'app.mjs'),
+  'Express app': join(ROOT, 'src/app-express.mjs'),
+};
+
+/**
+ * Start one of the apps in its own process with the test profile (port 0,
+ * no access log) and a throwaway data directory
+ * @param {string} script - From SERVERS
+ * @param {NodeJS.ProcessEnv} [env] - Extra settings, see src/config.mjs
+ * @returns {Promise<{url: string, stop: () => Promise<number>}>} `stop()`
+ *   sends SIGTERM and resolves with the exit code
+ */
+export async function startServer(script, env = {}) {
+  const dataDir = await mkdtemp(join(tmpdir(), 'concerts-test-'));
+  const child = spawn(process.execPath, [script], {
+    env: { ...process.env, NODE_ENV: 'test', DATA_DIR: dataDir, ...env },
+    stdio: ['ignore', 'pipe', 'inherit'],
+  });
+
+  const port = await new Promise((resolve, reject) => {
+    let output = '';
+    child.stdout.setEncoding('utf8');
+    child.stdout.on('data', (chunk) => {
+      output += chunk;
+      const match = output.match(/listening on port (\d+)/);
+      if (match) resolve(Number(match[1]));
+    });
+    child.once('exit', (code) => {
+      reject(new Error(`${script} exited with code ${code}:\n${output}`));
+    });
+  });
+
+  return {
+    url: `http://localhost:${port}`,
+    async stop() {
+      if (child.exitCode === null) {
+        child.kill('SIGTERM');
+        await once(child, 'exit');
+      }
+      await rm(dataDir, { recursive: true, force: true });
+      return child.exitCode;
+    },
+  };
+}
@@ -0,0 +1,68 @@
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, readFile, readdir, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { JsonFileStore } from '../src/storage/json-file-store.mjs';
+
+describe('JsonFileStore', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'concerts-store-'));
+  });
+  afterEach(() => rm(dir, { recursive: true, force: true }));
+
+  it('returns the fallback until the file exists', async () => {
+    const store = new JsonFileStore(join(dir, 'concerts.json'));
+
+    assert.equal(await store.load(), null);
+    assert.deepEqual(await store.load([]), []);
+  });
+
+  it('writes through a temp file that is renamed into place', async () => {
+    const store = new JsonFileStore(join(dir, 'nested', 'concerts.json'));
+
+    await store.save([{ artist: 'Adele' }]);
+
+    assert.deepEqual(await store.load(), [{ artist: 'Adele' }]);
+    assert.deepEqual(await readdir(join(dir, 'nested')), ['concerts.json']);
+  });
+
+  it('runs saves in order and keeps what each was given', async () => {
+    const store = new JsonFileStore(join(dir, 'concerts.json'));
+    const data = { version: 1 };
+
+    const saves = [store.save(data)];
+    data.version = 2;
+    saves.push(store.save(data), store.save({ version: 3 }));
+    await Promise.all(saves);
+
+    assert.deepEqual(await store.load(), { version: 3 });
+  });
+
+  it('removes the temp file when the rename fails', async () => {
+    // A directory in the way makes rename() fail after the temp file is written
+    const filePath = join(dir, 'concerts.json');
+    await mkdir(join(filePath, 'in-the-way'), { recursive: true });
+    const store = new JsonFileStore(filePath);
+
+    await assert.rejects(store.save({ version: 1 }));
+
+    assert.deepEqual(await readdir(dir), ['concerts.json']);
+  });
+
+  it('keeps saving after a failed write', async () => {
+    const filePath = join(dir, 'concerts.json');
+    await mkdir(filePath);
+    const store = new JsonFileStore(filePath);
+
+    await assert.rejects(store.save({ version: 1 }));
+    await rm(filePath, { recursive: true });
+    await store.save({ version: 2 });
+
+    assert.deepEqual(JSON.parse(await readFile(filePath, 'utf8')), {
+      version: 2,
+    });
+  });
+});
@@ -0,0 +1,47 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { PlaygroundRunner } from '../src/playground/playground-runner.mjs';
+
+describe('PlaygroundRunner', () => {
+  const runner = new PlaygroundRunner();
+
+  it('reports each console call with the phase it ran in', async () => {
+    const result = await runner.run(
+      "setTimeout(() => console.log('timeout')); Promise.resolve().then(() => console.log('promise')); process.nextTick(() => console.log('tick')); console.log('sync')",
+    );
+
+    assert.equal(result.error, null);
+    assert.deepEqual(
+      result.output.map(({ phase, text }) => `${phase}: ${text}`),
+      ['sync: sync', 'nextTick: tick', 'microtask: promise', 'timers: timeout'],
+    );
+  });
+
+  it('keeps host errors, and with them the host realm, away from snippets', async () => {
+    // Used to return the real process of the worker running the snippet
+    const result = await runner.run(
+      "try { clearTimeout(Symbol()) } catch (e) { e.constructor.constructor('return process')() }",
+    );
+
+    assert.equal(result.error?.name, 'EvalError');
+  });
+
+  it('gives snippets errors of their own realm for bad timer arguments', async () => {
+    const result = await runner.run(
+      'try { setTimeout(() => {}, Symbol()) } catch (e) { console.log(e instanceof TypeError) }',
+    );
+
+    assert.deepEqual(
+      result.output.map(({ text }) => text),
+      ['true'],
+    );
+  });
+
+  it('stops snippets that never finish', async () => {
+    const result = await new PlaygroundRunner({ timeoutMs: 300 }).run(
+      'setInterval(() => {}, 10)',
+    );
+
+    assert.equal(result.timedOut, true);
+  });
+});
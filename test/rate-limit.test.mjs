@@ -0,0 +1,73 @@
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { createServer } from 'node:http';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { RateLimiter, rateLimit } from '../src/http/rate-limit.mjs';
+import { handleError } from '../src/node-http/error-handler.mjs';
+import { sendJson } from '../src/node-http/respond.mjs';
+import { Router } from '../src/node-http/router.mjs';
+
+const WINDOW_MS = 60_000;
+
+describe('rateLimit', () => {
+  let clock;
+  let limiter;
+  let server;
+  let url;
+
+  before(async () => {
+    const router = new Router({ onError: handleError });
+    router.use('/api', (req, res, next) => rateLimit(limiter)(req, res, next));
+    router.get('/api/ping', (req, res) => sendJson(res, 200, { ok: true }));
+
+    server = createServer(router.handler()).listen(0);
+    await once(server, 'listening');
+    url = `http://localhost:${server.address().port}/api/ping`;
+  });
+  after(() => server?.close());
+
+  // A fresh limiter per test, on a clock the tests move by hand
+  beforeEach(() => {
+    clock = 1_000_000;
+    limiter = new RateLimiter({
+      windowMs: WINDOW_MS,
+      max: 2,
+      now: () => clock,
+    });
+  });
+
+  it('allows `max` requests and reports what is left', async () => {
+    for (const remaining of ['1', '0']) {
+      const response = await fetch(url);
+
+      assert.equal(response.status, 200);
+      assert.equal(response.headers.get('ratelimit-limit'), '2');
+      assert.equal(response.headers.get('ratelimit-remaining'), remaining);
+      assert.equal(response.headers.get('ratelimit-reset'), '60');
+      assert.equal(response.headers.get('retry-after'), null);
+    }
+  });
+
+  it('answers 429 with Retry-After until the window ends', async () => {
+    await fetch(url);
+    await fetch(url);
+    clock += 15_000;
+
+    const response = await fetch(url);
+
+    assert.equal(response.status, 429);
+    assert.equal(response.headers.get('retry-after'), '45');
+    assert.equal(response.headers.get('ratelimit-remaining'), '0');
+    assert.equal((await response.json()).error.code, 'TOO_MANY_REQUESTS');
+  });
+
+  it('allows requests again in the next window', async () => {
+    for (let i = 0; i < 3; i++) await fetch(url);
+    clock += WINDOW_MS;
+
+    const response = await fetch(url);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('ratelimit-remaining'), '1');
+  });
+});
@@ -0,0 +1,140 @@
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { createServer } from 'node:http';
+import { after, before, describe, it } from 'node:test';
+import { HttpError } from '../src/http/errors.mjs';
+import { handleError } from '../src/node-http/error-handler.mjs';
+import { sendJson } from '../src/node-http/respond.mjs';
+import { Router } from '../src/node-http/router.mjs';
+
+describe('Router', () => {
+  let server;
+  let url;
+
+  before(async () => {
+    const router = new Router({ onError: handleError });
+    router.use('/api', (req, res, next) => {
+      res.setHeader('X-Api', 'yes');
+      next();
+    });
+    router.get('/api/concerts/:id', (req, res) =>
+      sendJson(res, 200, { params: req.params, query: req.query }),
+    );
+    router.delete('/api/concerts/:id', (req, res) =>
+      sendJson(res, 200, { deleted: req.params.id }),
+    );
+    router.get(
+      '/steps',
+      (req, res, next) => {
+        req.steps = ['first'];
+        next();
+      },
+      (req, res) => sendJson(res, 200, [...req.steps, 'second']),
+    );
+    router.get('/throws', () => {
+      throw new HttpError(409, 'CONFLICT', 'Thrown');
+    });
+    router.get('/rejects', async () => {
+      throw new HttpError(409, 'CONFLICT', 'Rejected');
+    });
+    router.get('/next-error', (req, res, next) =>
+      next(new HttpError(409, 'CONFLICT', 'Passed on')),
+    );
+    router.get('/throws-null', () => {
+      throw null;
+    });
+
+    server = createServer(router.handler()).listen(0);
+    await once(server, 'listening');
+    url = `http://localhost:${server.address().port}`;
+  });
+  after(() => server?.close());
+
+  it('decodes route params and parses the query string', async () => {
+    const response = await fetch(
+      `${url}/api/concerts/a%20b?sort=date&tag=x&tag=y`,
+    );
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), {
+      params: { id: 'a b' },
+      query: { sort: 'date', tag: ['x', 'y'] },
+    });
+  });
+
+  it('matches a trailing slash and routes by method', async () => {
+    const got = await fetch(`${url}/api/concerts/1/`);
+    const deleted = await fetch(`${url}/api/concerts/1`, { method: 'DELETE' });
+
+    assert.deepEqual(await got.json(), { params: { id: '1' }, query: {} });
+    assert.deepEqual(await deleted.json(), { deleted: '1' });
+  });
+
+  it('runs middleware under its prefix only', async () => {
+    const api = await fetch(`${url}/api/concerts/1`);
+    const other = await fetch(`${url}/steps`);
+
+    assert.equal(api.headers.get('x-api'), 'yes');
+    assert.equal(other.headers.get('x-api'), null);
+  });
+
+  it('answers HEAD with the GET route, without a body', async () => {
+    const response = await fetch(`${url}/api/concerts/1`, { method: 'HEAD' });
+
+    assert.equal(response.status, 200);
+    assert.equal(await response.text(), '');
+  });
+
+  it('passes control along with next()', async () => {
+    const response = await fetch(`${url}/steps`);
+
+    assert.deepEqual(await response.json(), ['first', 'second']);
+  });
+
+  it('hands thrown, rejected and next() errors to onError', async () => {
+    for (const [path, message] of [
+      ['/throws', 'Thrown'],
+      ['/rejects', 'Rejected'],
+      ['/next-error', 'Passed on'],
+    ]) {
+      const response = await fetch(`${url}${path}`);
+
+      assert.equal(response.status, 409);
+      assert.deepEqual(await response.json(), {
+        error: { code: 'CONFLICT', message },
+      });
+    }
+  });
+
+  it('answers 500 when a handler throws something that is not an object', async (t) => {
+    // handleError logs unexpected errors
+    t.mock.method(console, 'error', () => {});
+    const response = await fetch(`${url}/throws-null`);
+
+    assert.equal(response.status, 500);
+    assert.equal((await response.json()).error.code, 'INTERNAL_ERROR');
+  });
+
+  it('answers 400 for a malformed route param', async () => {
+    const response = await fetch(`${url}/api/concerts/%E0%A4%A`);
+
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error.code, 'BAD_REQUEST');
+  });
+
+  it('answers 404 for unknown paths and methods without a route', async () => {
+    for (const [method, path] of [
+      ['GET', '/nothing-here'],
+      ['PUT', '/api/concerts/1'],
+    ]) {
+      const response = await fetch(`${url}${path}`, {
+        method,
+        headers: { Accept: 'application/json' },
+      });
+
+      assert.equal(response.status, 404);
+      assert.equal(response.headers.get('allow'), null);
+      assert.equal((await response.json()).error.code, 'NOT_FOUND');
+    }
+  });
+});
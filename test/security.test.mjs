@@ -0,0 +1,129 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { SERVERS, startServer } from './helpers/server.mjs';
+
+const ALLOWED_ORIGIN = 'https://tickets.example';
+
+for (const [name, script] of Object.entries(SERVERS)) {
+  describe(`${name}: security middleware`, () => {
+    let server;
+
+    before(async () => {
+      server = await startServer(script, {
+        CORS_ORIGINS: ALLOWED_ORIGIN,
+        BODY_LIMIT_BYTES: '1024',
+      });
+    });
+    after(() => server?.stop());
+
+    it('sends CSP, nosniff and HSTS on pages, static files and the API', async () => {
+      for (const path of ['/concerts', '/async-demo.html', '/api/concerts']) {
+        const response = await fetch(`${server.url}${path}`);
+
+        assert.equal(response.status, 200, path);
+        const csp = response.headers.get('content-security-policy');
+        assert.match(csp, /default-src 'self'/, path);
+        assert.match(csp, /script-src 'self'(;|$)/, path);
+        assert.equal(response.headers.get('x-content-type-options'), 'nosniff');
+        assert.equal(
+          response.headers.get('strict-transport-security'),
+          'max-age=15552000; includeSubDomains',
+        );
+      }
+    });
+
+    it('answers a preflight from an allowed origin with 204', async () => {
+      const response = await fetch(`${server.url}/api/concerts`, {
+        method: 'OPTIONS',
+        headers: {
+          Origin: ALLOWED_ORIGIN,
+          'Access-Control-Request-Method': 'POST',
+        },
+      });
+
+      assert.equal(response.status, 204);
+      assert.equal(
+        response.headers.get('access-control-allow-origin'),
+        ALLOWED_ORIGIN,
+      );
+      assert.match(
+        response.headers.get('access-control-allow-methods'),
+        /\bPOST\b/,
+      );
+      assert.match(response.headers.get('vary'), /Origin/);
+    });
+
+    it('refuses a preflight from any other origin with 403', async () => {
+      const response = await fetch(`${server.url}/api/concerts`, {
+        method: 'OPTIONS',
+        headers: {
+          Origin: 'https://elsewhere.example',
+          'Access-Control-Request-Method': 'POST',
+        },
+      });
+
+      assert.equal(response.status, 403);
+      assert.equal(response.headers.get('access-control-allow-origin'), null);
+      assert.equal((await response.json()).error.code, 'CORS_ORIGIN_DENIED');
+    });
+
+    it('rejects a body over the size cap with 413', async () => {
+      const response = await fetch(`${server.url}/api/concerts`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ artist: 'x'.repeat(2000) }),
+      });
+
+      assert.equal(response.status, 413);
+      assert.equal((await response.json()).error.code, 'PAYLOAD_TOO_LARGE');
+    });
+  });
+
+  describe(`${name}: HSTS_MAX_AGE=0`, () => {
+    let server;
+
+    before(async () => {
+      server = await startServer(script, { HSTS_MAX_AGE: '0' });
+    });
+    after(() => server?.stop());
+
+    it('leaves Strict-Transport-Security out', async () => {
+      const response = await fetch(`${server.url}/concerts`);
+
+      assert.equal(response.status, 200);
+      assert.equal(response.headers.get('strict-transport-security'), null);
+      assert.ok(response.headers.get('content-security-policy'));
+    });
+  });
+
+  describe(`${name}: rate limiting`, () => {
+    let server;
+
+    before(async () => {
+      server = await startServer(script, { RATE_LIMIT_MAX: '2' });
+    });
+    after(() => server?.stop());
+
+    it('answers 429 with Retry-After once a client used up its requests', async () => {
+      for (const remaining of ['1', '0']) {
+        const response = await fetch(`${server.url}/api/concerts`);
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('ratelimit-limit'), '2');
+        assert.equal(response.headers.get('ratelimit-remaining'), remaining);
+      }
+
+      const response = await fetch(`${server.url}/api/concerts`);
+
+      assert.equal(response.status, 429);
+      assert.match(response.headers.get('retry-after'), /^[1-9][0-9]*$/);
+      assert.equal((await response.json()).error.code, 'TOO_MANY_REQUESTS');
+    });
+
+    it('does not limit pages outside /api', async () => {
+      const response = await fetch(`${server.url}/concerts`);
+
+      assert.equal(response.status, 200);
+      assert.equal(response.headers.get('ratelimit-limit'), null);
+    });
+  });
+}
@@ -0,0 +1,134 @@
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import { handleError } from '../src/node-http/error-handler.mjs';
+import { Router } from '../src/node-http/router.mjs';
+import { serveStatic } from '../src/node-http/static-files.mjs';
+
+const TEXT = 'Hello, static world!';
+
+describe('serveStatic', () => {
+  let dir;
+  let server;
+  let url;
+
+  before(async () => {
+    // dir/secret.txt sits next to the served folder, not in it
+    dir = await mkdtemp(join(tmpdir(), 'concerts-static-'));
+    const root = join(dir, 'public');
+    await mkdir(join(root, 'docs'), { recursive: true });
+    await writeFile(join(root, 'hello.txt'), TEXT);
+    await writeFile(join(root, 'docs', 'index.html'), '<h1>Docs</h1>');
+    await writeFile(join(dir, 'secret.txt'), 'secret');
+
+    const router = new Router({ onError: handleError });
+    router.use(serveStatic(root, { maxAge: 60 }));
+
+    server = createServer(router.handler()).listen(0);
+    await once(server, 'listening');
+    url = `http://localhost:${server.address().port}`;
+  });
+  after(async () => {
+    server?.close();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('serves a file with its type and cache headers', async () => {
+    const response = await fetch(`${url}/hello.txt`);
+
+    assert.equal(response.status, 200);
+    assert.equal(
+      response.headers.get('content-type'),
+      'text/plain; charset=utf-8',
+    );
+    assert.equal(response.headers.get('cache-control'), 'public, max-age=60');
+    assert.match(response.headers.get('etag'), /^W\/"[0-9a-f]+-[0-9a-f]+"$/);
+    assert.equal(await response.text(), TEXT);
+  });
+
+  it('serves index.html for a folder', async () => {
+    const response = await fetch(`${url}/docs`);
+
+    assert.equal(response.status, 200);
+    assert.equal(await response.text(), '<h1>Docs</h1>');
+  });
+
+  it('answers 304 when the client copy is current', async () => {
+    const first = await fetch(`${url}/hello.txt`);
+    await first.arrayBuffer();
+
+    for (const headers of [
+      { 'If-None-Match': first.headers.get('etag') },
+      { 'If-None-Match': `"other", ${first.headers.get('etag')}` },
+      { 'If-Modified-Since': first.headers.get('last-modified') },
+    ]) {
+      const response = await fetch(`${url}/hello.txt`, { headers });
+      assert.equal(response.status, 304);
+    }
+
+    const changed = await fetch(`${url}/hello.txt`, {
+      headers: { 'If-None-Match': '"other"' },
+    });
+    assert.equal(changed.status, 200);
+    await changed.arrayBuffer();
+  });
+
+  it('serves byte ranges', async () => {
+    for (const [range, body, contentRange] of [
+      ['bytes=0-4', 'Hello', `bytes 0-4/${TEXT.length}`],
+      ['bytes=7-', TEXT.slice(7), `bytes 7-${TEXT.length - 1}/${TEXT.length}`],
+      [
+        'bytes=-6',
+        'world!',
+        `bytes ${TEXT.length - 6}-${TEXT.length - 1}/${TEXT.length}`,
+      ],
+    ]) {
+      const response = await fetch(`${url}/hello.txt`, {
+        headers: { Range: range },
+      });
+
+      assert.equal(response.status, 206);
+      assert.equal(response.headers.get('content-range'), contentRange);
+      assert.equal(await response.text(), body);
+    }
+  });
+
+  it('answers 416 for a range past the end', async () => {
+    const response = await fetch(`${url}/hello.txt`, {
+      headers: { Range: `bytes=${TEXT.length}-` },
+    });
+
+    assert.equal(response.status, 416);
+    assert.equal(
+      response.headers.get('content-range'),
+      `bytes */${TEXT.length}`,
+    );
+  });
+
+  it('sends the whole file for a stale If-Range or several ranges', async () => {
+    for (const headers of [
+      { Range: 'bytes=0-4', 'If-Range': 'W/"stale"' },
+      { Range: 'bytes=0-1, 4-5' },
+    ]) {
+      const response = await fetch(`${url}/hello.txt`, { headers });
+
+      assert.equal(response.status, 200);
+      assert.equal(await response.text(), TEXT);
+    }
+  });
+
+  it('never serves files outside the folder', async () => {
+    for (const path of ['/..%2fsecret.txt', '/docs/..%2f..%2fsecret.txt']) {
+      const response = await fetch(`${url}${path}`, {
+        headers: { Accept: 'application/json' },
+      });
+
+      assert.equal(response.status, 404);
+      assert.equal((await response.json()).error.code, 'NOT_FOUND');
+    }
+  });
+});